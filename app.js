@@ -3,66 +3,111 @@
    - Virtual + Lazy + Keyboard + A11y + Navigation
    - Tap to flip using Swiper's 'tap' event; swipe to navigate
    - Neighbor peeks via slidesPerView + centeredSlides
-   - Jump to slot using discs-based slot map
+   - Jump to slot using the configured slot layout (slots.js)
+   - Slot maps, search and state come from core.js; this file is one view of them
+   - One machine's catalog at a time (profiles.js); the song search can cover all of them
 */
-(() => {
-  const MAX_SLOTS = 100;
-  // Normalize data source
-  const list = Array.isArray(window.albums) ? window.albums : (typeof albums !== "undefined" ? albums : []);
+(async () => {
+  const SEARCH_DEBOUNCE_MS = 80;
+  const MAX_ZOOM = 2.5;
+  const SEARCH_ALL_KEY = 'jukebox-search-all';
+  // The machine to show (profiles.js) and its catalog, normalized from v1 window.albums
+  // or v2 window.catalog (see catalog.js).
+  // ?draft shows the catalog editor's unexported draft instead of the published files.
+  const { Catalog, JukeboxProfiles: Profiles } = window;
+  const params = new URLSearchParams(location.search);
+  const machine = Profiles.active();
+  const draft = params.has('draft') ? window.CatalogEditor?.loadDraft() : null;
   const platzEl = document.getElementById("platz");
-  if (!Array.isArray(list) || list.length === 0) {
+  const metaEl = document.getElementById("album-meta");
+  showMachinePicker();
+  const catalog = draft || (machine && await Profiles.loadCatalog(machine).catch(() => null));
+  if (!catalog) {
+    platzEl.textContent = "Katalog nicht gefunden";
+    return;
+  }
+  const { albums, layout: layoutConfig } = catalog;
+  if (albums.length === 0) {
     platzEl.textContent = "Keine Alben konfiguriert";
     return;
   }
-  window.albums = list;
+
+  // Slot maps, search and the viewer's state live in core.js; this file draws them
+  const core = window.JukeboxCore.create({ albums, layout: layoutConfig });
+  const { layout, albumSlots, slotToAlbum, albumStartSlot, rangeLabel, computePlatzForSong } = core;
 
   let SONGS = [];
-  fetch('songs.json')
-    .then(r => r.json())
-    .then(d => {
-      SONGS = Array.isArray(d) ? d.map(x => ({
-        n: String(x?.n ?? x?.title ?? '').trim(),
-        albumIndex: Number(x?.albumIndex ?? -1),
-        disc: (x?.disc == null ? null : Number(x.disc))
-      })) : [];
+  (draft ? Promise.resolve(Catalog.readSongs({ songs: draft.songs }).songs) : Profiles.loadSongs(machine))
+    .then(songs => {
+      SONGS = songs;
+      // Disc corrections made in the disc resolver (disc-resolver.js)
+      window.DiscResolver?.applyOverrides(SONGS, albums);
     })
-    .catch(() => { SONGS = []; });
+    .catch(() => { SONGS = []; })
+    .then(() => {
+      core.setSongs(SONGS);
+      // The user may have started typing before the catalog arrived
+      showSongPlatz();
+      queue?.render();
+    });
 
-  // Maps: slot -> album index, album -> start slot
-  const slotToAlbum = new Array(MAX_SLOTS+1).fill(-1);
-  const albumStartSlot = new Array(albums.length).fill(0);
-  let slot = 1;
-  for (let i=0;i<albums.length;i++){
-    const discs = Math.min(2, Math.max(1, Number(albums[i]?.discs||1)));
-    albumStartSlot[i] = slot;
-    for (let j=0;j<discs && slot<=MAX_SLOTS;j++) slotToAlbum[slot++] = i;
+  // Machine picker (profiles.js), only with several machines; another machine is a
+  // new page. Kiosk tablets stay on the machine they were opened with.
+  function showMachinePicker(){
+    const machines = Profiles.list();
+    const sel = document.getElementById('machine');
+    if (!machine || machines.length < 2) return;
+    document.title = `${machine.title} – ${document.title}`;
+    if (!sel || params.has('kiosk')) return;
+    sel.replaceChildren(...machines.map(p => new Option(p.title, p.id, false, p.id === machine.id)));
+    sel.hidden = false;
+    sel.addEventListener('change', () => {
+      Profiles.remember(sel.value);
+      location.assign(Profiles.href(sel.value));
+    });
   }
 
-  function rangeLabel(i){
-    const start = albumStartSlot[i] || 0;
-    const discs = Math.min(2, Math.max(1, Number(albums[i]?.discs||1)));
-    const end = Math.min(MAX_SLOTS, start + discs - 1);
-    return (start===end) ? `${start}` : `${start}\u2013${end}`;
+  // Responsive images (tools/build-images.js): AVIF/WebP srcsets and a blurred placeholder
+  // per face; albums without them use the plain image. Lazy faces keep the srcset in
+  // data-srcset until ensureFrontLoaded/ensureBackLoaded.
+  const SLIDE_SIZES = 'min(84vw, 82vh)'; // slide width: .wrap (92vw, max 90vh) / slidesPerView
+  // Slides are HTML strings; catalog values (titles, image paths) go in through this
+  const attr = v => String(v ?? '').replace(/[&"'<>]/g, c => `&#${c.charCodeAt(0)};`);
+  function faceHtml(set, imgAttrs, lazy){
+    const p = lazy ? 'data-' : '';
+    const ph = set?.placeholder ? `<div class="face-ph" style="${attr(`background-image:url(${JSON.stringify(String(set.placeholder))})`)}"></div>` : '';
+    const avif = set?.avif ? `<source type="image/avif" ${p}srcset="${attr(set.avif)}" sizes="${SLIDE_SIZES}" />` : '';
+    const webp = set?.webp ? ` ${p}srcset="${attr(set.webp)}" sizes="${SLIDE_SIZES}"` : '';
+    return `${ph}<picture>${avif}<img ${imgAttrs}${webp} /></picture>`;
+  }
+  // Moves data-srcset to srcset on the image and its <source>s, before src is set
+  function activateSrcset(img){
+    [...(img.parentElement?.querySelectorAll('source[data-srcset]') || []), img].forEach(el => {
+      if (!el.dataset.srcset) return;
+      el.srcset = el.dataset.srcset;
+      el.removeAttribute('data-srcset');
+    });
   }
 
   // Build slides as strings for Virtual module
   const slides = albums.map((a, i) => {
-    const altFront = `Cover Platz ${rangeLabel(i)}`;
-    const altBack  = `Rückseite Platz ${rangeLabel(i)}`;
+    const label = Catalog.albumLabel(a);
+    const altFront = attr(`Cover Platz ${rangeLabel(i)}${label ? `: ${label}` : ''}`);
+    const altBack  = attr(`Rückseite Platz ${rangeLabel(i)}${label ? `: ${label}` : ''}`);
     const eagerFront = i < 2; // Make first two fronts eager so they show instantly on first load
     const frontAttrs = eagerFront
-      ? `src="${a.front}" alt="${altFront}" loading="eager" fetchpriority="high" decoding="async"`
-      : `data-src="${a.front}" alt="${altFront}"`;
+      ? `src="${attr(a.front)}" alt="${altFront}" loading="eager" fetchpriority="high" decoding="async"`
+      : `data-src="${attr(a.front)}" alt="${altFront}"`;
     const frontClass = eagerFront ? 'front' : 'front swiper-lazy';
     const preloader = eagerFront ? '' : `\n   <div class=\"swiper-lazy-preloader\"></div>`;
     return (
 `<div class="flip" data-index="${i}">
    <div class="flip-inner" aria-label="Album umdrehen">
      <div class="face front">
-       <img class="${frontClass}" ${frontAttrs} />
+       ${faceHtml(a.images?.front, `class="${frontClass}" ${frontAttrs}`, !eagerFront)}
      </div>
      <div class="face back">
-       <img class="back" data-back="${a.back}" alt="${altBack}" decoding="async" />
+       ${faceHtml(a.images?.back, `class="back" data-back="${attr(a.back)}" alt="${altBack}" decoding="async"`, true)}
      </div>
    </div>${preloader}
  </div>`
@@ -70,7 +115,13 @@
   });
 
   // Initialize Swiper (bundle build exposes global Swiper)
+  const initialRoute = readRoute();
+  let applyingRoute = false;
+  let kiosk = null;         // attract mode (?kiosk), see kiosk.js
+  let screenSync = null;    // second screen (?sync), see sync.js
+  let applyingRemote = false;
   const swiper = new Swiper('.swiper', {
+    initialSlide: Math.max(0, routeAlbum(initialRoute)),
     // Feel
     speed: 240,
     resistanceRatio: 0.5,
@@ -93,6 +144,7 @@
     // Watch progress for scaling
     watchSlidesProgress: true,
   });
+  core.goToAlbum(swiper.activeIndex); // nobody listens yet
 
   // Helpers
   function activeSlideEl(){
@@ -106,6 +158,7 @@
     // If already eager (src set), nothing to do
     if (img.getAttribute('src')) return;
     if (img.dataset && img.dataset.src) {
+      activateSrcset(img);
       img.src = img.dataset.src;
       img.removeAttribute('data-src');
       img.classList.add('swiper-lazy-loaded');
@@ -131,39 +184,128 @@
     const img = slideEl.querySelector('img.back') || slideEl.querySelector('[data-back]');
     if (img && !img.dataset.loaded) {
       const src = img.getAttribute('data-back');
-      if (src) { img.src = src; img.dataset.loaded = '1'; }
+      if (src) { activateSrcset(img); img.src = src; img.dataset.loaded = '1'; }
     }
   }
   function resetFlip(slideEl){
     if (!slideEl) return;
     const inner = slideEl.querySelector('.flip-inner');
     if (inner) inner.classList.remove('is-flipped');
+    if (slideEl === activeSlideEl()) updateTracklist();
   }
   function resetZoom(slideEl){
     if (!slideEl) return;
-    const inner = slideEl.querySelector('.flip-inner');
-    if (inner) {
-      inner.style.setProperty('--zoom','1');
-      inner.style.setProperty('--tx','0px');
-      inner.style.setProperty('--ty','0px');
-    }
+    applyZoom(slideEl, { scale: 1, tx: 0, ty: 0 });
+    slideEl.querySelector('.hit-box')?.remove();
   }
-  function setZoom(slideEl, scale){
-    if (!slideEl) return;
-    const inner = slideEl.querySelector('.flip-inner');
-    if (inner) inner.style.setProperty('--zoom', String(scale));
+
+  // Zoom per slide, keyed by album index: { scale, tx, ty } with the translation in px.
+  // Slides without an entry are not zoomed.
+  const zoomState = new Map();
+  const slideIndexOf = slideEl => Number(slideEl?.querySelector('.flip')?.dataset.index);
+  function zoomOf(slideEl){
+    return zoomState.get(slideIndexOf(slideEl)) || { scale: 1, tx: 0, ty: 0 };
   }
-  function setTranslation(slideEl, dx, dy){
-    if (!slideEl) return;
-    const inner = slideEl.querySelector('.flip-inner');
-    if (inner) {
-      inner.style.setProperty('--tx', `${dx}px`);
-      inner.style.setProperty('--ty', `${dy}px`);
+  // Clamps the translation so the card never uncovers its frame, then stores and renders it
+  function applyZoom(slideEl, { scale, tx, ty }){
+    const flip = slideEl?.querySelector('.flip');
+    const inner = flip?.querySelector('.flip-inner');
+    if (!inner) return;
+    const s = Math.max(1, Math.min(MAX_ZOOM, scale));
+    const maxX = (s - 1) * 0.5 * flip.clientWidth, maxY = (s - 1) * 0.5 * flip.clientHeight;
+    const z = { scale: s, tx: Math.max(-maxX, Math.min(maxX, tx)), ty: Math.max(-maxY, Math.min(maxY, ty)) };
+    if (s === 1) zoomState.delete(slideIndexOf(slideEl));
+    else zoomState.set(slideIndexOf(slideEl), z);
+    paintZoom(inner, z);
+    if (slideEl === activeSlideEl()){
+      swiper.allowTouchMove = s === 1;
+      shareZoom();
     }
+    if (s > 1) sharpen(slideEl, flip.clientWidth * s);
+  }
+  function paintZoom(inner, { scale, tx, ty }){
+    inner.style.setProperty('--zoom', String(scale));
+    inner.style.setProperty('--tx', `${tx}px`);
+    inner.style.setProperty('--ty', `${ty}px`);
+  }
+  // Only the active card shows its zoom: the neighbors peek in unzoomed and get
+  // theirs back when they are shown again
+  function showZoom(){
+    const active = activeSlideEl();
+    swiper.slidesEl?.querySelectorAll('.swiper-slide').forEach(el => {
+      if (el === active) return;
+      const inner = el.querySelector('.flip-inner');
+      if (inner) paintZoom(inner, { scale: 1, tx: 0, ty: 0 });
+      el.querySelector('.hit-box')?.remove();
+    });
+    applyZoom(active, zoomOf(active));
+  }
+  // A zoomed card asks for a larger srcset candidate; sizes only grow, so zooming
+  // out keeps the sharper image instead of loading a smaller one again
+  function sharpen(slideEl, width){
+    const want = Math.ceil(width);
+    if (!want) return;
+    slideEl.querySelectorAll('.face img[srcset], .face source[srcset]').forEach(el => {
+      if (!(parseInt(el.getAttribute('sizes'), 10) >= want)) el.setAttribute('sizes', `${want}px`);
+    });
+  }
+  // Zooms by `factor` so that the client point (x, y) stays where it is on screen.
+  // The card scales about its centre, so with k = new/old scale the point at offset p
+  // from the centre stays put when t' = p*(1-k) + k*t.
+  function zoomAt(slideEl, factor, x, y){
+    const flip = slideEl?.querySelector('.flip');
+    if (!flip) return;
+    const z = zoomOf(slideEl);
+    const scale = Math.max(1, Math.min(MAX_ZOOM, z.scale * factor));
+    const k = scale / z.scale;
+    const r = flip.getBoundingClientRect();
+    const px = x - (r.left + r.width / 2), py = y - (r.top + r.height / 2);
+    applyZoom(slideEl, { scale, tx: px * (1 - k) + k * z.tx, ty: py * (1 - k) + k * z.ty });
+  }
+  function whenLoaded(img){
+    if (img.complete && img.naturalWidth) return Promise.resolve(img);
+    return new Promise((resolve, reject) => {
+      img.addEventListener('load', () => resolve(img), { once: true });
+      img.addEventListener('error', reject, { once: true });
+    });
+  }
+  // Zooms the back cover to a title's bounding box (fractions of the image, see
+  // catalog.js) and outlines it. The image is drawn with object-fit: cover, so
+  // the box is mapped through the same scale and crop first.
+  function highlightBox(slideEl, box){
+    const face = slideEl?.querySelector('.face.back');
+    const img = face?.querySelector('img.back');
+    if (!img) return;
+    shareSync({ type: 'highlight', index: slideIndexOf(slideEl), box });
+    ensureBackLoaded(slideEl);
+    whenLoaded(img).then(() => {
+      if (activeSlideEl() !== slideEl || !isFlipped(slideEl)) return; // user moved on
+      const W = face.clientWidth, H = face.clientHeight;
+      const c = Math.max(W / img.naturalWidth, H / img.naturalHeight);
+      const ox = (W - img.naturalWidth * c) / 2, oy = (H - img.naturalHeight * c) / 2;
+      const [x, y, w, h] = box;
+      const bx = ox + x * img.naturalWidth * c, by = oy + y * img.naturalHeight * c;
+      const bw = w * img.naturalWidth * c, bh = h * img.naturalHeight * c;
+
+      face.querySelector('.hit-box')?.remove();
+      const mark = document.createElement('div');
+      mark.className = 'hit-box';
+      mark.style.left = `${bx / W * 100}%`;
+      mark.style.top = `${by / H * 100}%`;
+      mark.style.width = `${bw / W * 100}%`;
+      mark.style.height = `${bh / H * 100}%`;
+      face.appendChild(mark);
+
+      // Fill ~60% of the card with the box; a back-face point p lands at p*scale + t
+      const scale = Math.max(1, Math.min(MAX_ZOOM, 0.6 * W / bw, 0.6 * H / bh));
+      applyZoom(slideEl, { scale, tx: -(bx + bw / 2 - W / 2) * scale, ty: -(by + bh / 2 - H / 2) * scale });
+    }).catch(() => {});
   }
   function updatePlatz(){
     const i = swiper.activeIndex;
     platzEl.textContent = `Platz ${rangeLabel(i)}`;
+    if (metaEl) metaEl.textContent = Catalog.albumLabel(albums[i]);
+    updateFavorites();
   }
 
   // On init, set Platz and preload neighbors' fronts (handled by Swiper lazy)
@@ -178,16 +320,17 @@
     ensureNeighborsFrontLoaded();
   });
 
-  // Slide change: reset flip, update Platz
+  // Slide change: reset flip, restore the card's own zoom; swipes, arrow keys and the attract
+  // show move the slider first, so the core follows (and updates Platz and history, see below)
   swiper.on('slideChange', () => {
     resetFlip(activeSlideEl());
-    resetZoom(activeSlideEl());
-    updatePlatz();
+    showZoom();
     // Nudge lazy-loader in case transition didn't trigger
     if (swiper.lazy && typeof swiper.lazy.load === 'function') {
       swiper.lazy.load();
     }
     ensureNeighborsFrontLoaded();
+    if (core.getState().albumIndex !== swiper.activeIndex) core.goToAlbum(swiper.activeIndex);
   });
 
   // Load neighbor fronts as soon as user begins to swipe, to feel instant
@@ -195,18 +338,30 @@
     ensureNeighborsFrontLoaded();
   });
 
-  // Tap to flip (works across touch/desktop). Only if the tap is within the flip of the ACTIVE slide.
-  swiper.on('tap', (sw, e) => {
+  // The viewer follows the core's state: slide, side, Platz, track list and URL
+  function showState(s){
+    if (swiper.activeIndex !== s.albumIndex) swiper.slideTo(s.albumIndex, 0); // instant
     const sEl = activeSlideEl();
-    if (!sEl) return;
-    const flip = e?.target?.closest('.flip');
-    if (!flip || !sEl.contains(flip)) return;
-    const inner = sEl.querySelector('.flip-inner');
-    if (!inner) return;
     // Load back image on first flip
-    ensureBackLoaded(sEl);
-    inner.classList.toggle('is-flipped');
+    if (s.back) ensureBackLoaded(sEl);
+    sEl?.querySelector('.flip-inner')?.classList.toggle('is-flipped', s.back);
+    ensureNeighborsFrontLoaded();
+    updateTracklist();
+    updatePlatz();
+  }
+  core.on('platzchange', s => {
+    showState(s);
+    // A new album adds a history entry; the attract show replaces it instead
+    syncRoute(s.albumIndex !== s.previous.albumIndex && !kiosk?.running);
+  });
+  core.on('flip', s => {
+    showState(s);
+    if (s.back) logActive('flip');
+    syncRoute(false);
   });
+  function isFlipped(sEl = activeSlideEl()){
+    return !!sEl?.querySelector('.flip-inner')?.classList.contains('is-flipped');
+  }
 
   // Click fallback removed to prevent double toggles on touch (Swiper 'tap' covers desktop & touch)
 
@@ -215,10 +370,13 @@
     const el = document.activeElement; if (!el) return false;
     const t = el.tagName; return t==="INPUT"||t==="TEXTAREA"||t==="SELECT"||el.isContentEditable;
   }
+  // A full-screen panel (queue, stats, editor, sync …) keeps its keys: no selection codes
+  // and no flipping the card behind it
+  const panelOpen = () => !!document.querySelector('.panel:not([hidden])');
   window.addEventListener('keydown', (e) => {
-    if (isTyping()) return;
-    if (e.key === ' ') { e.preventDefault(); const s = activeSlideEl(); ensureBackLoaded(s); const inner = s?.querySelector('.flip-inner'); inner?.classList.toggle('is-flipped'); }
-    else if (e.key === 'Enter') { e.preventDefault(); const s = activeSlideEl(); ensureBackLoaded(s); const inner = s?.querySelector('.flip-inner'); inner?.classList.toggle('is-flipped'); }
+    if (isTyping() || panelOpen()) return;
+    if (keypad.handleKey(e)) { e.preventDefault(); return; }
+    if (e.key === ' ' || e.key === 'Enter') { e.preventDefault(); core.flip(); }
     else if (e.key === 'Home') { e.preventDefault(); swiper.slideTo(0, 0); }
     else if (e.key === 'End') { e.preventDefault(); swiper.slideTo(albums.length-1, 0); }
   });
@@ -226,17 +384,12 @@
   // Jump to slot
   const jump = document.getElementById('jump');
   const goBtn = document.getElementById('go');
+  // Letter-digit codes (A1 …) need a keyboard with letters
+  if (layout.format !== 'number') jump.inputMode = 'text';
   goBtn.addEventListener('click', () => {
-    const n = parseInt(jump.value, 10);
-    if (!Number.isFinite(n) || n < 1 || n > MAX_SLOTS) { jump.style.borderColor='red'; setTimeout(()=> jump.style.borderColor='', 900); return; }
-    const pos = slotToAlbum[n];
-    if (pos >= 0) {
-      swiper.slideTo(pos, 0); // instant
-      resetFlip(activeSlideEl());
-      // Ensure target and its neighbors' fronts are loaded immediately
-      ensureNeighborsFrontLoaded();
+    if (core.goToPlatz(jump.value) >= 0) {
+      logActive('jump');
       jump.value=''; jump.style.borderColor='';
-      updatePlatz();
     } else {
       jump.style.borderColor='red'; setTimeout(()=> jump.style.borderColor='', 900);
     }
@@ -245,170 +398,697 @@
     if (e.key === 'Enter') { e.preventDefault(); goBtn.click(); }
   });
 
-  function norm(s){
-    return String(s || '')
-      .toLowerCase()
-      .normalize('NFKD')
-      .replace(/\p{Diacritic}/gu, '')
-      .replace(/[^a-z0-9 ]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-  }
-  function fuzzyScore(query, candidate){
-    const q = norm(query);
-    const c = norm(candidate);
-    if (!q || !c) return 0;
-    if (q === c) return 3;
-    let score = 0;
-    if (c.includes(q) || q.includes(c)) score += 1;
-    const tq = new Set(q.split(' '));
-    const tc = new Set(c.split(' '));
-    let inter = 0; tq.forEach(t => { if (tc.has(t)) inter++; });
-    const union = new Set([...tq, ...tc]).size || 1;
-    score += inter / union;
-    if (c.startsWith(q)) score += 0.25;
-    return score;
-  }
-  function findBestSong(query){
-    let best = null; let bestScore = 0;
-    for (const s of SONGS){
-      const sc = fuzzyScore(query, s?.n || '');
-      if (sc > bestScore){ bestScore = sc; best = s; }
-    }
-    return bestScore > 0.15 ? best : null;
-  }
-  function computePlatzForSong(song){
-    const i = Number(song?.albumIndex ?? -1);
-    if (!(i >= 0) || !albums[i]) return { slot: null, approx: false };
-
-    const start = albumStartSlot[i] || 0;
-    const discsCount = Math.min(2, Math.max(1, Number(albums[i]?.discs || 1)));
-    const d = song?.disc;
+  // Keypad (keypad.js): type a code anywhere outside inputs, or tap it on the keypad
+  const keypadBtn = document.getElementById('keypad-btn');
+  const keypad = window.JukeboxKeypad.create({
+    codes: Array.from({ length: layout.capacity }, (_, pos) => layout.code(pos)),
+    resolve(code){
+      const i = slotToAlbum.get(code);
+      return i == null ? null : (Catalog.albumLabel(albums[i]) || `Album ${i + 1}`);
+    },
+    onCommit(code){
+      core.goToPlatz(code);
+      logActive('jump');
+    },
+    onToggle(open){ keypadBtn.setAttribute('aria-expanded', String(open)); },
+  });
+  keypadBtn.addEventListener('click', () => { if (keypad.isOpen) keypad.close(); else keypad.open(); });
 
-    if (d === 1) return { slot: start, approx: false };
+  function platzText(res){
+    if (!res.slot) return 'Unbekannt';
+    return (res.approx ? '≈ Platz ' : 'Platz ') + res.slot;
+  }
+  // "Seeburg, Platz 42" when the search covers all machines
+  function hitText(h){
+    return (h.machine ? `${h.machine.title}, ` : '') + platzText(h.platz);
+  }
+  const isOtherMachine = h => !!h.machine && h.machine.id !== machine?.id;
+  function renderSongResults(groups){
+    const list = document.getElementById('song-results');
+    if (!list) return;
+    list.innerHTML = '';
+    for (const g of groups){
+      const li = document.createElement('li');
+      const head = document.createElement('div');
+      head.className = 'result-head';
+      const title = document.createElement('span');
+      title.className = 'result-title';
+      title.textContent = g.title;
+      const artist = g.hits[0]?.song.artist;
+      if (artist) {
+        const by = document.createElement('span');
+        by.className = 'result-artist';
+        by.textContent = ` – ${artist}`;
+        title.appendChild(by);
+      }
+      const score = document.createElement('span');
+      score.className = 'result-score';
+      score.textContent = g.score.toFixed(2);
+      head.append(title, score);
+      li.appendChild(head);
 
-    if (d === 2){
-      if (discsCount >= 2) return { slot: Math.min(start + 1, MAX_SLOTS), approx: false };
-      return { slot: start, approx: true };
+      const hits = document.createElement('div');
+      hits.className = 'result-hits';
+      for (const h of g.hits){
+        const other = isOtherMachine(h);
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        if (other) {
+          // Opens the other machine at that Platz; the queue belongs to this one
+          btn.dataset.machine = h.machine.id;
+          if (h.platz.slot) btn.dataset.platz = h.platz.slot;
+        } else {
+          btn.dataset.album = String(h.song.albumIndex);
+          btn.dataset.song = String(h.song.id);
+          if (h.platz.slot && !h.platz.approx) btn.dataset.platz = h.platz.slot;
+        }
+        btn.disabled = !h.platz.slot;
+        // Show the version only where it differs from the group title
+        const version = h.song.title !== g.title ? ` · ${h.song.title}` : '';
+        const track = Catalog.trackLabel(h.song);
+        btn.textContent = hitText(h) + (track ? ` · ${track}` : '') + version;
+        const album = Catalog.albumLabel((other ? otherMachines.get(h.machine.id).core.albums : albums)[h.song.albumIndex]);
+        btn.title = `${h.song.title}${album ? ` – ${album}` : ''} (${h.score.toFixed(2)})`;
+        hits.appendChild(btn);
+        if (queue && h.platz.slot && !other) hits.appendChild(queueButton(h.song.id, h.song.title));
+      }
+      li.appendChild(hits);
+      list.appendChild(li);
     }
-
-    if (discsCount === 1) return { slot: start, approx: false };
-    return { slot: start, approx: true };
   }
   function showSongPlatz(){
+    const inp = document.getElementById('song');
+    if (inp) core.search(inp.value);
+  }
+  // "Alle Maschinen": the song search also covers the other machines (profiles.js).
+  // Their catalogs are loaded on first use; machines that fail to load are named next to
+  // the switch and tried again the next time it is turned on.
+  const searchAll = document.getElementById('search-all');
+  const searchAllBox = searchAll?.querySelector('input');
+  const searchAllStatus = searchAll?.querySelector('.search-all-status');
+  const otherMachines = new Map(); // id -> { machine, core }
+  let othersLoading = null;
+  function loadOtherMachines(){
+    const failed = [];
+    othersLoading ??= Promise.all(Profiles.list().filter(p => p.id !== machine?.id && !otherMachines.has(p.id)).map(p =>
+      Promise.all([Profiles.loadCatalog(p), Profiles.loadSongs(p).catch(() => [])])
+        .then(([c, songs]) => {
+          window.DiscResolver?.applyOverrides(songs, c.albums, p);
+          otherMachines.set(p.id, { machine: p, core: window.JukeboxCore.create({ albums: c.albums, layout: c.layout, songs }) });
+        })
+        .catch(() => failed.push(p.title))))
+      .then(() => {
+        if (searchAllStatus) searchAllStatus.textContent = failed.length ? `(${failed.join(', ')} nicht geladen)` : '';
+        if (failed.length) othersLoading = null;
+      });
+    return othersLoading;
+  }
+  function setSearchAll(on){
+    try { localStorage.setItem(SEARCH_ALL_KEY, on ? '1' : ''); } catch {}
+    if (on) loadOtherMachines().then(showSongPlatz);
+    else showSongPlatz();
+  }
+  if (searchAll && Profiles.list().length > 1) {
+    searchAll.hidden = false;
+    try { searchAllBox.checked = localStorage.getItem(SEARCH_ALL_KEY) === '1'; } catch {}
+    if (searchAllBox.checked) loadOtherMachines().then(showSongPlatz);
+    searchAllBox.addEventListener('change', () => setSearchAll(searchAllBox.checked));
+  }
+  // Every search, typed here or started through the core by another script
+  core.on('searchresult', ({ query, groups }) => {
     const inp = document.getElementById('song');
     const out = document.getElementById('song-platz');
-    if (!inp || !out) return;
-    const q = inp.value;
-    if (!q){ out.textContent = ''; return; }
-
-    const s = findBestSong(q);
-    if (!s){ out.textContent = 'Kein Treffer'; return; }
+    if (inp && inp.value !== query) inp.value = query;
+    syncRoute(false);
+    if (searchAllBox?.checked && otherMachines.size && query.trim()) {
+      groups = window.JukeboxCore.findAcross([{ machine, core }, ...otherMachines.values()], query);
+    }
+    renderSongResults(groups);
+    if (!out) return;
+    if (!query.trim()){ out.textContent = ''; return; }
+    if (!groups.length){ out.textContent = 'Kein Treffer'; return; }
 
-    const res = computePlatzForSong(s);
-    if (!res.slot){ out.textContent = 'Unbekannt'; return; }
+    const total = groups.reduce((t, g) => t + g.hits.length, 0);
+    out.textContent = hitText(groups[0].hits[0]) + (total > 1 ? ` (${total} Treffer)` : '');
+  });
 
-    out.textContent = (res.approx ? '≈ Platz ' : 'Platz ') + res.slot;
-  }
 
   const findSongBtn = document.getElementById('find-song');
   if (findSongBtn) findSongBtn.addEventListener('click', showSongPlatz);
   const songInput = document.getElementById('song');
-  if (songInput) songInput.addEventListener('keydown', e => {
-    if (e.key === 'Enter') showSongPlatz();
+  let searchTimer = 0;
+  if (songInput) {
+    songInput.addEventListener('keydown', e => {
+      if (e.key === 'Enter') { clearTimeout(searchTimer); showSongPlatz(); }
+    });
+    // Search as you type; the short debounce keeps fast typists from queueing work
+    songInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(showSongPlatz, SEARCH_DEBOUNCE_MS);
+    });
+  }
+  // Tap a result to open that album on its back cover
+  const songResults = document.getElementById('song-results');
+  if (songResults) songResults.addEventListener('click', e => {
+    if (addToQueue(e)) return;
+    const elsewhere = e.target.closest('button[data-machine]');
+    if (elsewhere) {
+      const route = [['platz', elsewhere.dataset.platz], ['side', 'back'], ['song', core.getState().query.trim()]];
+      location.assign(Profiles.href(elsewhere.dataset.machine, route.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&')));
+      return;
+    }
+    const btn = e.target.closest('button[data-album]');
+    if (!btn || btn.disabled) return;
+    const pos = Number(btn.dataset.album);
+    if (!(pos >= 0 && pos < albums.length)) return;
+    const song = SONGS[Number(btn.dataset.song)];
+    core.goToAlbum(pos, { back: true, platz: btn.dataset.platz || null });
+    logActive('search', { query: core.getState().query.trim() });
+    if (song) {
+      showSelection(song);
+      renderTracklist();
+      if (song.box) highlightBox(activeSlideEl(), song.box);
+    }
   });
 
-  // Expose for debugging
-  window._swiper = swiper;
+  // Track list for the flipped album, grouped by disc/Platz. Tapping a track puts
+  // its Platz into the selection display.
+  const tracklistEl = document.getElementById('tracklist');
+  const tracklistBtn = document.getElementById('tracklist-btn');
+  const selectionEl = document.getElementById('selection');
+  let selectedSong = null;
 
-  // Simple pinch-to-zoom for touch and double-tap to toggle zoom
-  let pinchStartDistance = null;
-  let pinchStartScale = 1;
-  let currentScale = 1;
-  let lastTapTime = 0;
-  let isPanning = false;
-  let panStart = { x: 0, y: 0 };
-  let panOffset = { x: 0, y: 0 };
-
-  function getDistance(t1, t2){
-    const dx = t1.clientX - t2.clientX;
-    const dy = t1.clientY - t2.clientY;
-    return Math.hypot(dx, dy);
-  }
-
-  swiper.el.addEventListener('touchstart', (e) => {
-    if (e.touches.length === 2) {
-      // Prevent swiper from stealing the gesture
-      swiper.allowTouchMove = false;
-      const [t1, t2] = e.touches;
-      pinchStartDistance = getDistance(t1, t2);
-      const sEl = activeSlideEl();
-      const inner = sEl?.querySelector('.flip-inner');
-      pinchStartScale = inner ? Number(getComputedStyle(inner).getPropertyValue('--zoom') || 1) : 1;
-      isPanning = false;
-    } else if (e.touches.length === 1 && currentScale > 1) {
-      // Begin panning when zoomed in
-      swiper.allowTouchMove = false;
-      const t = e.touches[0];
-      isPanning = true;
-      panStart = { x: t.clientX, y: t.clientY };
-      const sEl = activeSlideEl();
-      const inner = sEl?.querySelector('.flip-inner');
-      const cs = inner ? getComputedStyle(inner) : null;
-      panOffset = {
-        x: cs ? parseFloat(cs.getPropertyValue('--tx')) || 0 : 0,
-        y: cs ? parseFloat(cs.getPropertyValue('--ty')) || 0 : 0,
-      };
+  function tracklistGroups(i){
+    const positions = albumSlots[i] || [];
+    const groups = new Map();
+    SONGS.forEach(s => {
+      if (s.albumIndex !== i) return;
+      const known = s.disc >= 1 && s.disc <= positions.length;
+      const key = positions.length > 1 ? (known ? s.disc : 0) : 1;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(s);
+    });
+    return [...groups.entries()]
+      .sort(([a], [b]) => (a || Infinity) - (b || Infinity))
+      .map(([disc, songs]) => {
+        const res = computePlatzForSong({ albumIndex: i, disc: disc || null });
+        const label = positions.length > 1
+          ? (disc ? `${platzText(res)} · Disc ${disc}` : `Disc unbekannt (${platzText(res)})`)
+          : platzText(res);
+        // Track numbers, where known, beat catalog order
+        const ordered = songs.every(s => s.track != null)
+          ? [...songs].sort((a, b) => (a.side || '').localeCompare(b.side || '') || a.track - b.track)
+          : songs;
+        return { label, songs: ordered };
+      });
+  }
+  function renderTracklist(){
+    if (!tracklistEl || tracklistEl.hidden) return;
+    const list = tracklistEl.querySelector('.tracklist-body');
+    const i = swiper.activeIndex;
+    list.innerHTML = '';
+    const groups = tracklistGroups(i);
+    if (queue){
+      const all = document.createElement('button');
+      all.type = 'button';
+      all.className = 'queue-album';
+      all.dataset.queueAlbum = String(i);
+      all.textContent = '+ Album in die Warteschlange';
+      list.appendChild(all);
     }
-  }, { passive: true });
-
-  swiper.el.addEventListener('touchmove', (e) => {
-    if (e.touches.length === 2 && pinchStartDistance) {
-      const [t1, t2] = e.touches;
-      const dist = getDistance(t1, t2);
-      const scale = Math.max(1, Math.min(2.5, pinchStartScale * (dist / pinchStartDistance)));
-      currentScale = scale;
-      setZoom(activeSlideEl(), scale);
-    } else if (isPanning && e.touches.length === 1) {
-      const t = e.touches[0];
-      const dx = t.clientX - panStart.x;
-      const dy = t.clientY - panStart.y;
-      // Limit panning based on zoom so you can't drag beyond edges too far
-      const sEl = activeSlideEl();
-      const inner = sEl?.querySelector('.flip-inner');
-      const cs = inner ? getComputedStyle(inner) : null;
-      const scale = cs ? Math.max(1, Number(cs.getPropertyValue('--zoom')) || 1) : 1;
-      const maxShift = (scale - 1) * 0.5 * sEl.clientWidth; // half of overflow width
-      const maxShiftY = (scale - 1) * 0.5 * sEl.clientHeight;
-      const nx = Math.max(-maxShift, Math.min(maxShift, panOffset.x + dx));
-      const ny = Math.max(-maxShiftY, Math.min(maxShiftY, panOffset.y + dy));
-      setTranslation(sEl, nx, ny);
+    if (!groups.length){
+      list.append('Keine Titel bekannt.');
+      return;
+    }
+    for (const g of groups){
+      const h = document.createElement('h3');
+      h.textContent = g.label;
+      const ol = document.createElement('ol');
+      for (const s of g.songs){
+        const li = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.dataset.song = String(SONGS.indexOf(s));
+        if (s === selectedSong) btn.setAttribute('aria-current', 'true');
+        const track = Catalog.trackLabel(s);
+        if (track) {
+          const pos = document.createElement('span');
+          pos.className = 'track-pos';
+          pos.textContent = track;
+          btn.appendChild(pos);
+        }
+        btn.append(s.title);
+        li.appendChild(btn);
+        if (queue) li.appendChild(queueButton(SONGS.indexOf(s), s.title));
+        ol.appendChild(li);
+      }
+      list.append(h, ol);
     }
-  }, { passive: true });
-
-  swiper.el.addEventListener('touchend', (e) => {
-    if (e.touches.length === 0) {
-      // End of gesture, restore swiper movement if not zoomed in
-      swiper.allowTouchMove = currentScale <= 1.01;
-      if (currentScale <= 1.01) currentScale = 1;
-      if (currentScale === 1) setZoom(activeSlideEl(), 1);
-      pinchStartDistance = null;
-      isPanning = false;
+  }
+  // Only the flipped card offers its track list
+  function updateTracklist(){
+    if (!tracklistEl || !tracklistBtn) return;
+    const flipped = isFlipped();
+    tracklistBtn.hidden = !flipped;
+    if (!flipped) { tracklistEl.hidden = true; tracklistBtn.setAttribute('aria-expanded', 'false'); }
+    else renderTracklist();
+  }
+  function showSelection(song){
+    selectedSong = song;
+    if (!selectionEl) return;
+    const res = song ? computePlatzForSong(song) : { slot: null };
+    selectionEl.hidden = !res.slot;
+    selectionEl.querySelector('.selection-code').textContent = res.slot ? `${res.approx ? '≈ ' : ''}${res.slot}` : '';
+    selectionEl.querySelector('.selection-title').textContent = song?.title || '';
+    updateFavorites();
+    shareSelection();
+  }
+  selectionEl?.querySelector('[data-act="queue"]')?.addEventListener('click', () => {
+    if (selectedSong) queue?.add(songEntry(selectedSong));
+  });
+  if (tracklistEl && tracklistBtn) {
+    tracklistBtn.addEventListener('click', () => {
+      tracklistEl.hidden = !tracklistEl.hidden;
+      tracklistBtn.setAttribute('aria-expanded', String(!tracklistEl.hidden));
+      renderTracklist();
+    });
+    tracklistEl.addEventListener('click', e => {
+      if (e.target.closest('[data-act="close"]')) {
+        tracklistEl.hidden = true;
+        tracklistBtn.setAttribute('aria-expanded', 'false');
+        return;
+      }
+      if (addToQueue(e)) return;
+      const btn = e.target.closest('button[data-song]');
+      if (!btn) return;
+      showSelection(SONGS[Number(btn.dataset.song)]);
+      renderTracklist();
+    });
+  }
+
+  // Selection queue (queue.js). Entries keep the album's front image and the
+  // song's normalized title, so their Platz follows catalog and disc changes.
+  function albumOfEntry(entry){
+    return albums.findIndex(a => a.front === entry.front);
+  }
+  function songEntry(s){
+    const a = albums[s.albumIndex];
+    return { type: 'song', front: a?.front || '', n: s.n, disc: s.disc, title: s.title, artist: s.artist || a?.artist || '' };
+  }
+  // One entry per disc: each disc is its own selection at the machine
+  function albumEntries(i){
+    const a = albums[i];
+    const label = Catalog.albumLabel({ artist: '', title: a.title, year: a.year }) || `Album Platz ${rangeLabel(i)}`;
+    return (albumSlots[i] || []).map((_, k) => ({
+      type: 'album', front: a.front, disc: k + 1,
+      title: a.discs > 1 ? `${label} · Disc ${k + 1}` : label, artist: a.artist,
+    }));
+  }
+  function songOfEntry(entry, i){
+    return entry.type === 'song' && entry.n ? core.songOf(i, entry.n) : null;
+  }
+  function queueButton(id, title){
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'queue-add';
+    b.dataset.queue = String(id);
+    b.textContent = '+';
+    b.setAttribute('aria-label', `„${title}“ in die Warteschlange`);
+    return b;
+  }
+  // Click handler part shared by search results and track list
+  function addToQueue(e){
+    const b = e.target.closest('button[data-queue], button[data-queue-album]');
+    if (!b || !queue) return false;
+    if (b.dataset.queueAlbum != null) queue.add(albumEntries(Number(b.dataset.queueAlbum)));
+    else if (SONGS[Number(b.dataset.queue)]) queue.add(songEntry(SONGS[Number(b.dataset.queue)]));
+    return true;
+  }
+  function entryPlatz(entry){
+    const i = albumOfEntry(entry);
+    if (i < 0) return { slot: null, approx: false };
+    const song = songOfEntry(entry, i);
+    return computePlatzForSong({ albumIndex: i, disc: song ? song.disc : entry.disc });
+  }
+  // Opens a queued or favorite album on its back cover, with the song selected
+  function openEntry(entry){
+    const i = albumOfEntry(entry);
+    if (i < 0) return;
+    const res = entryPlatz(entry);
+    core.goToAlbum(i, { back: true, platz: res.slot && !res.approx ? res.slot : null });
+    const song = songOfEntry(entry, i);
+    if (song) {
+      showSelection(song);
+      renderTracklist();
+      if (song.box) highlightBox(activeSlideEl(), song.box);
     }
+  }
+  const queueBtn = document.getElementById('queue-btn');
+  const queue = window.JukeboxQueue?.create({
+    platzOf: entryPlatz,
+    // Imported text and M3U lists only carry codes
+    fromSlot(code){
+      const pos = layout.parse(code);
+      const i = pos >= 0 ? slotToAlbum.get(layout.code(pos)) ?? -1 : -1;
+      if (i < 0) return null;
+      return { front: albums[i].front, disc: albumSlots[i].indexOf(pos) + 1, artist: albums[i].artist };
+    },
+    onNavigate: openEntry,
+    onChange(count){
+      if (queueBtn) queueBtn.textContent = count ? `Warteschlange (${count})` : 'Warteschlange';
+    },
   });
+  if (queue && queueBtn) {
+    queueBtn.hidden = false;
+    queueBtn.addEventListener('click', () => queue.open());
+  }
+
+  // Favorites and usage statistics (stats.js)
+  const favAlbumBtn = document.getElementById('fav-album');
+  const favSongBtn = selectionEl?.querySelector('[data-act="favorite"]');
+  const stats = window.JukeboxStats?.create({
+    describe(entry){
+      const i = albumOfEntry(entry);
+      if (i < 0) return null;
+      const song = songOfEntry(entry, i);
+      const res = song ? computePlatzForSong(song) : null;
+      return {
+        label: Catalog.albumLabel(albums[i]) || `Platz ${rangeLabel(i)}`,
+        platz: res?.slot ? `${res.approx ? '≈ ' : ''}${res.slot}` : rangeLabel(i),
+      };
+    },
+    onNavigate: openEntry,
+    onChange: updateFavorites,
+  });
+  // type: view | flip | jump | search, always for the active album
+  function logActive(type, extra){
+    const { albumIndex: i, platz: slot } = core.getState();
+    // The attract show is nobody's choice, nor is what a display shows for its controller
+    if (!albums[i] || kiosk?.running || applyingRemote) return;
+    stats?.log(type, { front: albums[i].front, slot, ...extra });
+  }
+  function setStar(btn, on){
+    if (!btn) return;
+    btn.textContent = on ? '★' : '☆';
+    btn.setAttribute('aria-pressed', String(on));
+  }
+  function updateFavorites(){
+    if (!stats) return;
+    setStar(favAlbumBtn, stats.isFavorite({ type: 'album', front: albums[swiper.activeIndex]?.front }));
+    if (selectedSong) setStar(favSongBtn, stats.isFavorite({ type: 'song', ...songEntry(selectedSong) }));
+  }
+  if (stats) {
+    const statsBtn = document.getElementById('stats-btn');
+    if (statsBtn) {
+      statsBtn.hidden = false;
+      statsBtn.addEventListener('click', () => stats.open());
+    }
+    if (favAlbumBtn) {
+      favAlbumBtn.hidden = false;
+      favAlbumBtn.addEventListener('click', () => {
+        const a = albums[swiper.activeIndex];
+        stats.toggleFavorite({ type: 'album', front: a.front, title: Catalog.albumLabel(a) });
+      });
+    }
+    if (favSongBtn) {
+      favSongBtn.hidden = false;
+      favSongBtn.addEventListener('click', () => {
+        if (selectedSong) stats.toggleFavorite({ ...songEntry(selectedSong), type: 'song' });
+      });
+    }
+    swiper.on('slideChange', () => logActive('view'));
+    logActive('view');
+  }
+
+  // Kiosk / attract mode (kiosk.js): index.html?kiosk&idle=60&interval=8&flip=1
+  const kioskMode = params.has('kiosk');
+  const PRELOAD_TIMEOUT_MS = 5000; // a missing image must not stop the show
+  function preloaded(img){
+    if (!img?.getAttribute('src')) return Promise.resolve();
+    const timeout = new Promise(resolve => setTimeout(resolve, PRELOAD_TIMEOUT_MS));
+    return Promise.race([whenLoaded(img).catch(() => {}), timeout]);
+  }
+  if (kioskMode && window.JukeboxKiosk) {
+    const num = name => Number(params.get(name)) || null;
+    const flip = params.has('flip') && params.get('flip') !== '0';
+    document.body.classList.add('kiosk');
+    kiosk = window.JukeboxKiosk.create({
+      idle: num('idle'), interval: num('interval'), flip,
+      prepareNext(){
+        // After the last album the show wraps to the first, whose front is eager
+        if (swiper.activeIndex + 1 >= albums.length) return Promise.resolve();
+        const next = activeSlideEl()?.nextElementSibling;
+        ensureFrontLoaded(next);
+        if (flip) ensureBackLoaded(next);
+        return Promise.all([...(next?.querySelectorAll('img') || [])].map(preloaded));
+      },
+      advance(){
+        if (swiper.activeIndex + 1 >= albums.length) swiper.slideTo(0);
+        else swiper.slideNext();
+      },
+      showBack(){
+        const sEl = activeSlideEl();
+        ensureBackLoaded(sEl);
+        return preloaded(sEl?.querySelector('img.back')).then(() => {
+          if (kiosk.running && sEl === activeSlideEl()) core.flip(true);
+        });
+      },
+      // Start and end of the show: front side, no zoom, no overlays, empty search
+      reset(){
+        core.flip(false);
+        resetZoom(activeSlideEl());
+        document.querySelectorAll('.panel, .queue-big').forEach(el => { el.hidden = true; });
+        keypad.clear();
+        keypad.close();
+        const inp = document.getElementById('song');
+        if (inp?.value) { inp.value = ''; showSongPlatz(); }
+        document.activeElement?.blur?.();
+        syncRoute(false);
+      },
+      onChange(running){ document.body.classList.toggle('is-attract', running); },
+    });
+  }
+
+  // Routing: #platz=37&side=back, #album=12 (albumIndex), #song=da%20hofa
+  // Slide changes push history entries; flips and searches replace the current one.
+  function readRoute(){
+    const p = new URLSearchParams(location.hash.replace(/^#/, ''));
+    return { platz: p.get('platz'), album: p.get('album'), side: p.get('side'), song: p.get('song') };
+  }
+  function routeAlbum(route){
+    if (route.platz != null) return core.albumAt(route.platz);
+    const i = route.album == null || route.album === '' ? NaN : Number(route.album);
+    return Number.isInteger(i) && i >= 0 && i < albums.length ? i : -1;
+  }
+  function routeHash(){
+    const s = core.getState();
+    const parts = [];
+    if (s.platz != null) parts.push(['platz', s.platz]);
+    else parts.push(['album', s.albumIndex]);
+    if (s.back) parts.push(['side', 'back']);
+    const q = s.query.trim();
+    if (q) parts.push(['song', q]);
+    return '#' + parts.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+  }
+  function syncRoute(push){
+    if (applyingRoute) return;
+    const hash = routeHash();
+    if (hash === location.hash) return;
+    history[push ? 'pushState' : 'replaceState'](null, '', hash);
+  }
+  function applyRoute(route){
+    applyingRoute = true;
+    try {
+      const i = routeAlbum(route);
+      if (i >= 0){
+        const pos = route.platz != null ? layout.parse(route.platz) : -1;
+        core.goToAlbum(i, { back: route.side === 'back', platz: pos >= 0 ? layout.code(pos) : null });
+      }
+      const inp = document.getElementById('song');
+      if (inp && inp.value !== (route.song ?? '')){
+        inp.value = route.song ?? '';
+        showSongPlatz();
+      }
+    } finally {
+      applyingRoute = false;
+    }
+  }
+  // Browser and Android back/forward buttons, and hand-edited hashes
+  window.addEventListener('popstate', () => applyRoute(readRoute()));
+  if (location.hash) {
+    applyRoute(initialRoute);
+    syncRoute(false); // normalize e.g. #platz=abc to the album actually shown
+  }
 
-  // Double-tap to toggle zoom (1x <-> 2x)
-  swiper.on('tap', (sw, e) => {
-    const now = Date.now();
-    if (now - lastTapTime < 280) {
+  // Second screen (sync.js): index.html?sync=display on the TV, ?sync=controller&code=4711
+  // on the phone, &relay=1 (or host:port) for another device via tools/sync-relay.js.
+  // The controller sends the album and side it shows, its zoom, the selected title and
+  // highlighted boxes; the display follows. Zoom offsets travel as fractions of the
+  // card, since both screens have their own size.
+  const SYNC_ZOOM_MS = 60; // a pinch yields a zoom step per frame; the display needs fewer
+  let sharedView = '';
+  let zoomTimer = 0;
+  function shareSync(msg){
+    if (screenSync?.role === 'controller') screenSync.send(msg);
+  }
+  function shareView(){
+    if (screenSync?.role !== 'controller') return;
+    const s = core.getState();
+    const msg = { type: 'view', index: s.albumIndex, front: albums[s.albumIndex]?.front, back: s.back, platz: s.platz };
+    const key = JSON.stringify(msg);
+    if (key === sharedView) return;
+    sharedView = key;
+    screenSync.send(msg);
+  }
+  function shareZoom(){
+    if (screenSync?.role !== 'controller' || zoomTimer) return;
+    zoomTimer = setTimeout(() => {
+      zoomTimer = 0;
       const sEl = activeSlideEl();
-      const inner = sEl?.querySelector('.flip-inner');
-      const cur = inner ? Number(getComputedStyle(inner).getPropertyValue('--zoom') || 1) : 1;
-      const next = cur > 1 ? 1 : 2;
-      setZoom(sEl, next);
-      currentScale = next;
-      swiper.allowTouchMove = next === 1;
+      const flip = sEl?.querySelector('.flip');
+      if (!flip) return;
+      const z = zoomOf(sEl);
+      shareSync({ type: 'zoom', index: slideIndexOf(sEl), scale: z.scale, x: z.tx / (flip.clientWidth || 1), y: z.ty / (flip.clientHeight || 1) });
+    }, SYNC_ZOOM_MS);
+  }
+  function shareSelection(){
+    const a = selectedSong && albums[selectedSong.albumIndex];
+    shareSync({ type: 'select', front: a?.front ?? null, n: selectedSong?.n ?? null });
+  }
+  // A display that (re)connects gets the whole state again
+  function shareAll(){
+    sharedView = '';
+    shareView();
+    shareSelection();
+    shareZoom();
+  }
+  // Albums are matched by front image, so a display with an older catalog order still
+  // shows the same album; the index is the fallback
+  function albumOfFront(front, index){
+    const i = albums.findIndex(a => a.front === front);
+    return i >= 0 ? i : Number.isInteger(index) && albums[index] ? index : -1;
+  }
+  function applyRemote(msg){
+    if (screenSync?.role !== 'display'){
+      if (msg.type === 'hello') shareAll();
+      return;
+    }
+    if (kiosk?.running) kiosk.stop();
+    applyingRemote = true;
+    try {
+      if (msg.type === 'view'){
+        const i = albumOfFront(msg.front, msg.index);
+        if (i < 0) return;
+        // A neighbour slides over as it did on the controller; anything further is a jump
+        if (Math.abs(i - swiper.activeIndex) === 1) swiper.slideTo(i);
+        core.goToAlbum(i, { platz: msg.platz, back: !!msg.back });
+      } else if (msg.type === 'zoom') {
+        const sEl = activeSlideEl();
+        const flip = sEl?.querySelector('.flip');
+        if (!flip || slideIndexOf(sEl) !== msg.index) return;
+        applyZoom(sEl, { scale: Number(msg.scale) || 1, tx: (Number(msg.x) || 0) * flip.clientWidth, ty: (Number(msg.y) || 0) * flip.clientHeight });
+      } else if (msg.type === 'select') {
+        const i = albumOfFront(msg.front);
+        showSelection(i >= 0 && msg.n != null ? core.songOf(i, msg.n) : null);
+        renderTracklist();
+      } else if (msg.type === 'highlight') {
+        const sEl = activeSlideEl();
+        if (slideIndexOf(sEl) === msg.index && Array.isArray(msg.box) && msg.box.length === 4) highlightBox(sEl, msg.box);
+      }
+    } finally {
+      applyingRemote = false;
+    }
+  }
+  core.on('platzchange', shareView);
+  core.on('flip', shareView);
+  const syncBtn = document.getElementById('sync-btn');
+  if (window.JukeboxSync) {
+    screenSync = window.JukeboxSync.create({
+      onMessage: applyRemote,
+      onConnect(role){
+        if (role === 'controller') shareAll();
+        else screenSync.send({ type: 'hello' });
+      },
+      onChange(role){ document.body.classList.toggle('is-sync-display', role === 'display'); },
+    });
+    // Visitors at a kiosk must not take it over; ?sync still works there
+    if (syncBtn && !kioskMode) {
+      syncBtn.hidden = false;
+      syncBtn.addEventListener('click', () => screenSync.open());
     }
-    lastTapTime = now;
+    const role = params.get('sync');
+    if ((role === 'display' || role === 'controller')
+      && !screenSync.start({ role, code: params.get('code'), relay: params.get('relay') })) screenSync.open();
+  }
+
+  // Admin mode (index.html?admin): catalog editor, see editor.js. Locked in kiosk mode.
+  const adminMode = (params.has('admin') || draft) && !kioskMode;
+  const adminBtn = document.getElementById('admin-btn');
+  if (adminBtn && window.CatalogEditor && adminMode) {
+    adminBtn.hidden = false;
+    adminBtn.addEventListener('click', () => {
+      window.CatalogEditor.open({ layout: layoutConfig, albums, songs: SONGS });
+    });
+  }
+  const discsBtn = document.getElementById('discs-btn');
+  if (discsBtn && window.DiscResolver && adminMode) {
+    discsBtn.hidden = false;
+    discsBtn.addEventListener('click', () => {
+      window.DiscResolver.open({
+        albums, songs: SONGS, albumIndex: swiper.activeIndex, rangeLabel,
+        onChange: () => { core.setSongs(SONGS); showSongPlatz(); renderTracklist(); queue?.render(); },
+      });
+    });
+  }
+  const stripsLink = document.getElementById('strips-link');
+  if (stripsLink && adminMode) {
+    stripsLink.hidden = false;
+    if (draft) stripsLink.search = '?draft';
+  }
+  if (draft) document.title = `Entwurf – ${document.title}`;
+
+  // The core for other scripts on the page (and the console); the slider for debugging
+  window.jukebox = core;
+  window._swiper = swiper;
+
+  // Gestures (gestures.js): tap flips the active card, double tap zooms to 2x at the
+  // finger or back to 1x, wheel/pinch zoom at the cursor/midpoint, drag pans when zoomed
+  let settleTimer = 0;
+  window.JukeboxGestures.attach(swiper.el, {
+    isZoomed: () => zoomOf(activeSlideEl()).scale > 1,
+    lockSwipe(locked){
+      const sEl = activeSlideEl();
+      swiper.allowTouchMove = !locked && zoomOf(sEl).scale === 1;
+      // Follow the fingers directly instead of easing behind them
+      sEl?.querySelector('.flip-inner')?.classList.toggle('is-gesturing', locked);
+    },
+    tap(e){
+      const sEl = activeSlideEl();
+      const flip = e.target?.closest?.('.flip');
+      if (sEl && flip && sEl.contains(flip)) core.flip();
+    },
+    doubleTap(x, y, e){
+      const sEl = activeSlideEl();
+      if (!sEl || !sEl.contains(e.target)) return;
+      if (zoomOf(sEl).scale > 1) resetZoom(sEl);
+      else zoomAt(sEl, 2, x, y);
+    },
+    zoomBy(factor, x, y){
+      const sEl = activeSlideEl();
+      sEl?.querySelector('.flip-inner')?.classList.add('is-gesturing');
+      zoomAt(sEl, factor, x, y);
+    },
+    panBy(dx, dy){
+      const sEl = activeSlideEl();
+      const z = zoomOf(sEl);
+      applyZoom(sEl, { ...z, tx: z.tx + dx, ty: z.ty + dy });
+    },
+    // Snap almost-1x back to 1x so swiping works again
+    end(){
+      const sEl = activeSlideEl();
+      if (zoomOf(sEl).scale < 1.02) resetZoom(sEl);
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => sEl?.querySelector('.flip-inner')?.classList.remove('is-gesturing'), 150);
+    },
   });
 })();
@@ -0,0 +1,192 @@
+// Generated by tools/build-manifest.js – do not edit; run it again after changing files
+self.ASSET_MANIFEST = {
+  "version": "5466e381f6bb7f03",
+  "core": {
+    "./app.js": "38232acea464ca13",
+    "./catalog.js": "0a5fa1ffb0c73d32",
+    "./core.js": "f8cae77383f4f76e",
+    "./disc-resolver.js": "2763985c5faa74f9",
+    "./editor.js": "607e0eea75f78efb",
+    "./gestures.js": "9fa390e73a2b4b96",
+    "./icons/icon-192.png": "e1aed8d00e76225b",
+    "./icons/icon-512.png": "e6765b40fb0e112c",
+    "./index.html": "16532680b6ba7f8f",
+    "./keypad.js": "608262af16966cb1",
+    "./kiosk.js": "35979642e50bff20",
+    "./manifest.json": "dc74f5534d680208",
+    "./offline.js": "233d54546755dfcc",
+    "./profiles.js": "b941a2433a3f9f72",
+    "./queue.js": "6d6e6e9f2b46f5a4",
+    "./slots.js": "bcbaa650d3f1d9b2",
+    "./song-index.js": "ae97b58c021cb97b",
+    "./stats.js": "c64a21a9ffaf89bd",
+    "./strips.html": "ea5377c2e4f0e79c",
+    "./strips.js": "defcad72710aaa05",
+    "./sync.js": "425b12cd24e962bf"
+  },
+  "remote": [
+    "https://unpkg.com/swiper@11/swiper-bundle.min.css",
+    "https://unpkg.com/swiper@11/swiper-bundle.min.js"
+  ],
+  "profiles": [
+    {
+      "id": "wurlitzer",
+      "version": "56a178648cc10fe4",
+      "files": {
+        "./data.js": "9d4053b427dfbce8",
+        "./songs.json": "5c199f110508ba48"
+      },
+      "images": {
+        "./bilder/1-back.webp": "c8486620556b95c2",
+        "./bilder/1-front.webp": "45f6b2c78522c652",
+        "./bilder/2-back.webp": "0bc6a717ec82cc21",
+        "./bilder/2-front.webp": "3fe4731489389c77",
+        "./bilder/3-back.webp": "838a23924fc02d24",
+        "./bilder/3-front.webp": "54e51e672161374e",
+        "./bilder/4-back.webp": "f9b58dae869a8c52",
+        "./bilder/4-front.webp": "ece1d210d66d8177",
+        "./bilder/5-back.webp": "5c2f63fcc85a1203",
+        "./bilder/5-front.webp": "f678c82a6c465b00",
+        "./bilder/6-back.webp": "b53acbffdd53d34f",
+        "./bilder/6-front.webp": "87b968b18576f678",
+        "./bilder/7-back.webp": "86baa76c50620d2c",
+        "./bilder/7-front.webp": "0e9ff391b9e7bc61",
+        "./bilder/8-back.webp": "c6ef5b8583b13898",
+        "./bilder/8-front.webp": "a8a57d887b0d9148",
+        "./bilder/9-back.webp": "3062d413fefdcc5a",
+        "./bilder/9-front.webp": "26d8a5d9b133f804",
+        "./bilder/10-back.webp": "1ed315d35974be49",
+        "./bilder/10-front.webp": "7578acbe4024d5fc",
+        "./bilder/11-back.webp": "f9e60186eb16ff67",
+        "./bilder/11-front.webp": "36d36aef88fc0361",
+        "./bilder/12-back.webp": "9808136c9b02b573",
+        "./bilder/12-front.webp": "5679aa6bab81144d",
+        "./bilder/13-back.webp": "36f979248c2caade",
+        "./bilder/13-front.webp": "b3778a148c0b37ef",
+        "./bilder/14-back.webp": "d2f3581f4f95cf75",
+        "./bilder/14-front.webp": "b2a6e2d1608ebe25",
+        "./bilder/15-back.webp": "4bcf7add716aa9e1",
+        "./bilder/15-front.webp": "ebb90e1902b1dbb2",
+        "./bilder/16-back.webp": "1e409ba2d926461c",
+        "./bilder/16-front.webp": "6cb98326cabc74dc",
+        "./bilder/17-back.webp": "548267867589267b",
+        "./bilder/17-front.webp": "bd76dbac837585c4",
+        "./bilder/18-back.webp": "fe6ded4402deebce",
+        "./bilder/18-front.webp": "3dcd0c9fc291b876",
+        "./bilder/19-back.webp": "c1152a552baa1f0d",
+        "./bilder/19-front.webp": "7e718dc1bdede2cb",
+        "./bilder/20-back.webp": "2722aeef474f589d",
+        "./bilder/20-front.webp": "7e718dc1bdede2cb",
+        "./bilder/21-back.webp": "aec7da3309262003",
+        "./bilder/21-front.webp": "252bcab5684f9fac",
+        "./bilder/22-back.webp": "49a1d1f10f71a89c",
+        "./bilder/22-front.webp": "252bcab5684f9fac",
+        "./bilder/23-back.webp": "7167c98271c2fdff",
+        "./bilder/23-front.webp": "38ae31bb7e871da7",
+        "./bilder/24-back.webp": "467f7bccb5bbeaa4",
+        "./bilder/24-front.webp": "a0d47c433be9b544",
+        "./bilder/25-back.webp": "05846cb99daf8c5e",
+        "./bilder/25-front.webp": "af9fb8a01a9e99b5",
+        "./bilder/26-back.webp": "7b56e0caa478f962",
+        "./bilder/26-front.webp": "f4ee4d712ce1db32",
+        "./bilder/27-back.webp": "4b053605a2d4d121",
+        "./bilder/27-front.webp": "b7ccedadbab675dd",
+        "./bilder/28-back.webp": "1f6853f1ca712781",
+        "./bilder/28-front.webp": "e249d2c68b37d037",
+        "./bilder/29-back.webp": "5b3693e5304a9d2b",
+        "./bilder/29-front.webp": "af17f77211f44847",
+        "./bilder/30-back.webp": "e78b69958ef20374",
+        "./bilder/30-front.webp": "c9e397b557120797",
+        "./bilder/31-back.webp": "a7a4e4d3f2bbefa3",
+        "./bilder/31-front.webp": "d9ee7929975a532e",
+        "./bilder/32-back.webp": "849738a339ddab94",
+        "./bilder/32-front.webp": "c0815d301b2eba2b",
+        "./bilder/33-back.webp": "042009554ede120b",
+        "./bilder/33-front.webp": "85d5ce223d34baae",
+        "./bilder/34-back.webp": "8232169cc9ce92d4",
+        "./bilder/34-front.webp": "f0da88bb028e100b",
+        "./bilder/35-back.webp": "fb7cc79f43402519",
+        "./bilder/35-front.webp": "719ef282eef5d9c4",
+        "./bilder/36-back.webp": "0c1631b854c80af2",
+        "./bilder/36-front.webp": "74e62afc49f73f18",
+        "./bilder/37-back.webp": "7f7927366040f2f3",
+        "./bilder/37-front.webp": "66efef36245f8f64",
+        "./bilder/38-back.webp": "80f53ba589881f74",
+        "./bilder/38-front.webp": "f54d921bf2d12ccb",
+        "./bilder/39-back.webp": "4b4ea6f2942640d5",
+        "./bilder/39-front.webp": "e92354a9e0325a89",
+        "./bilder/40-back.webp": "c3132919c10eaae5",
+        "./bilder/40-front.webp": "5050d8036985b5e0",
+        "./bilder/41-back.webp": "6f1a1bfdec45f3f6",
+        "./bilder/41-front.webp": "9d1c6b6204fa4233",
+        "./bilder/42-back.webp": "573b6cffdc1d8fd5",
+        "./bilder/42-front.webp": "75d04195e1984446",
+        "./bilder/43-back.webp": "710b336de697397b",
+        "./bilder/43-front.webp": "54b352d65dfe3226",
+        "./bilder/44-back.webp": "8a8f1c3ae7b120f4",
+        "./bilder/44-front.webp": "acd6437d0454c334",
+        "./bilder/45-back.webp": "05147f455bd9d834",
+        "./bilder/45-front.webp": "21afc46e49afad2e",
+        "./bilder/46-back.webp": "21f02849cccfcb26",
+        "./bilder/46-front.webp": "b8f3aeeed333cd30",
+        "./bilder/47-back.webp": "cea3914c15279b6d",
+        "./bilder/47-front.webp": "6ab2608565207522",
+        "./bilder/48-back.webp": "d801f3c9d6317711",
+        "./bilder/48-front.webp": "ebb7ee22d26d48f9",
+        "./bilder/49-back.webp": "d6cef479785938d9",
+        "./bilder/49-front.webp": "ad9456eade7f457f",
+        "./bilder/50-back.webp": "8e39fd94d186d6d6",
+        "./bilder/50-front.webp": "e3bd75684cc12762",
+        "./bilder/51-back.webp": "b75e72b424999b8c",
+        "./bilder/51-front.webp": "e21255e6e4cf8ed4",
+        "./bilder/52-back.webp": "062d0c591832967d",
+        "./bilder/52-front.webp": "7410a8fe487a619f",
+        "./bilder/53-back.webp": "c9aba2900f4bc611",
+        "./bilder/53-front.webp": "99ec686aae5eba4b",
+        "./bilder/54-back.webp": "66ebf94bf081c903",
+        "./bilder/54-front.webp": "d32dfb22e33b6ac7",
+        "./bilder/55-back.webp": "a829545180347cd9",
+        "./bilder/55-front.webp": "6b6099dbfaa96b2d",
+        "./bilder/56-back.webp": "7ff5ac5e2a661ad9",
+        "./bilder/56-front.webp": "090f005d8833d97b",
+        "./bilder/57-back.webp": "f8e0e6f30db9ea1e",
+        "./bilder/57-front.webp": "86873489207093b0",
+        "./bilder/58-back.webp": "6919957c5c6bd952",
+        "./bilder/58-front.webp": "5a67597a3e88ab8a",
+        "./bilder/59-back.webp": "e0fd175e35ed5e02",
+        "./bilder/59-front.webp": "fc0cf4221f488090",
+        "./bilder/60-back.webp": "a9276a70b4c77d05",
+        "./bilder/60-front.webp": "bf941fd74f1dd0e1",
+        "./bilder/61-back.webp": "bb27dddaff689e86",
+        "./bilder/61-front.webp": "7ef3c25665a6f577",
+        "./bilder/62-back.webp": "cc9a723fdd7dbdc1",
+        "./bilder/62-front.webp": "fc2aed708b4a4b2a",
+        "./bilder/63-back.webp": "aa23ee49d92b7791",
+        "./bilder/63-front.webp": "7eaeaef47baaf3d3",
+        "./bilder/64-back.webp": "ae183ecf789551a0",
+        "./bilder/64-front.webp": "cab0df879f4a7c78",
+        "./bilder/65-back.webp": "975e909747ffef6b",
+        "./bilder/65-front.webp": "1da3088d6029f312",
+        "./bilder/66-back.webp": "35186978ec30f52b",
+        "./bilder/66-front.webp": "555adf3cfc8769aa",
+        "./bilder/67-back.webp": "a1c8018df251c243",
+        "./bilder/67-front.webp": "5f6f11c0a0c868d8",
+        "./bilder/68-back.webp": "bcf8b770b2fb62b0",
+        "./bilder/68-front.webp": "e449f9d4653db5ba",
+        "./bilder/69-back.webp": "6fe00eb072874230",
+        "./bilder/69-front.webp": "3d3470c45efa0266",
+        "./bilder/70-back.webp": "1556d44d54035765",
+        "./bilder/70-front.webp": "1fda86916d62be63",
+        "./bilder/71-back.webp": "ee080df007022303",
+        "./bilder/71-front.webp": "6a057d99d8ba473c",
+        "./bilder/72-back.webp": "cd2c1caba61c55e2",
+        "./bilder/72-front.webp": "d7c614493ae4281b",
+        "./bilder/73-back.webp": "4046d1bea3815eea",
+        "./bilder/73-front.webp": "69aff7eb7de4112a",
+        "./bilder/74-back.webp": "fb46d1ad727abbda",
+        "./bilder/74-front.webp": "b5dadaefbc545a38"
+      },
+      "variants": {}
+    }
+  ]
+};
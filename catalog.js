@@ -0,0 +1,173 @@
+/* Catalog schema
+   - Version 1 (legacy): data.js sets window.albums = [{ front, back, discs }],
+     songs.json is an array of { title, n, albumIndex, disc }
+   - Version 2: data.js sets window.catalog = { version: 2, layout, albums: [...] } where
+     albums may add artist/title/year/genre and a fixed `slot`, `layout` configures the
+     selection codes (see slots.js), and songs.json may be { version: 2, songs: [...] }
+     whose entries may add side/track/artist and `box`, the title's bounding box on the
+     back cover as fractions of the image: [x, y, width, height], all 0..1
+   - Albums may also carry `images` (written by tools/build-images.js): per face
+     { width, height, webp, avif, placeholder } where webp/avif are srcset strings
+     ("bilder/sized/1-front-480.webp 480w, …") and placeholder a tiny data: URI
+   - Both versions normalize to the same shape; missing fields become '' or null
+   - readAlbums/readSongs return `warnings` ([{ code, message }]) for callers to show,
+     e.g. a catalog written for a newer version than this one
+   - Plain script in the browser (window.Catalog), require()-able in Node
+*/
+(function (root) {
+  const SCHEMA_VERSION = 2;
+
+  function text(v){
+    return v == null ? '' : String(v).trim();
+  }
+  function intOrNull(v){
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function versionOf(data, warnings){
+    const v = Number(data?.version ?? 1);
+    if (v > SCHEMA_VERSION) warnings.push({ code: 'version-newer', message: `Catalog version ${v} is newer than ${SCHEMA_VERSION}; unknown fields are ignored` });
+    return v;
+  }
+
+  // { front, back } image sets, or null; unusable faces become null
+  function imageSetOrNull(v){
+    if (!v || typeof v !== 'object') return null;
+    const set = {
+      width: intOrNull(v.width),
+      height: intOrNull(v.height),
+      webp: text(v.webp),
+      avif: text(v.avif),
+      placeholder: /^data:image\//.test(text(v.placeholder)) ? text(v.placeholder) : '',
+    };
+    return set.webp || set.avif || set.placeholder ? set : null;
+  }
+  function imagesOrNull(v){
+    const front = imageSetOrNull(v?.front), back = imageSetOrNull(v?.back);
+    return front || back ? { front, back } : null;
+  }
+
+  function normalizeAlbum(a){
+    return {
+      front: text(a?.front),
+      back: text(a?.back),
+      discs: Math.max(1, intOrNull(a?.discs) || 1),
+      artist: text(a?.artist),
+      title: text(a?.title),
+      year: intOrNull(a?.year),
+      genre: text(a?.genre),
+      slot: (a?.slot == null || a.slot === '') ? null : text(a.slot),
+      images: imagesOrNull(a?.images),
+    };
+  }
+
+  // win: the global object data.js ran in (window, or a vm sandbox in Node)
+  function readAlbums(win){
+    const src = win?.catalog ?? win?.albums;
+    const list = Array.isArray(src) ? src : src?.albums;
+    const warnings = [];
+    return {
+      version: Array.isArray(src) ? 1 : versionOf(src, warnings),
+      layout: (!Array.isArray(src) && src?.layout) || {},
+      albums: Array.isArray(list) ? list.map(normalizeAlbum) : [],
+      warnings,
+    };
+  }
+
+  function boxOrNull(v){
+    if (!Array.isArray(v) || v.length !== 4) return null;
+    const b = v.map(Number);
+    const [x, y, w, h] = b;
+    const ok = b.every(Number.isFinite) && x >= 0 && y >= 0 && w > 0 && h > 0 && x + w <= 1.0001 && y + h <= 1.0001;
+    return ok ? b : null;
+  }
+
+  function normalizeSong(x){
+    return {
+      n: text(x?.n ?? x?.title),
+      title: text(x?.title ?? x?.n),
+      albumIndex: Number(x?.albumIndex ?? -1),
+      disc: (x?.disc == null ? null : Number(x.disc)),
+      side: text(x?.side).toUpperCase(),
+      track: intOrNull(x?.track),
+      artist: text(x?.artist),
+      box: boxOrNull(x?.box),
+    };
+  }
+
+  // data: parsed songs.json, either a bare array (v1) or { version, songs }
+  function readSongs(data){
+    const list = Array.isArray(data) ? data : data?.songs;
+    const warnings = [];
+    return {
+      version: Array.isArray(data) ? 1 : versionOf(data, warnings),
+      songs: Array.isArray(list) ? list.map(normalizeSong) : [],
+      warnings,
+    };
+  }
+
+  // "Wolfgang Ambros – Es lebe der Zentralfriedhof · 1976"
+  function albumLabel(a){
+    const name = [a?.artist, a?.title].filter(Boolean).join(' – ');
+    return [name, a?.year].filter(Boolean).join(' · ');
+  }
+
+  // "A3" for side + track, "Nr. 3" for a plain track number
+  function trackLabel(s){
+    if (s?.track == null) return s?.side || '';
+    return s.side ? `${s.side}${s.track}` : `Nr. ${s.track}`;
+  }
+
+  // Serialization: writes the legacy v1 shape unless v2-only fields are in use,
+  // so files stay loadable by older viewers and diffs stay small.
+  const ALBUM_V2_FIELDS = ['artist', 'title', 'year', 'genre', 'slot', 'images'];
+  const SONG_V2_FIELDS = ['side', 'track', 'artist', 'box'];
+  const isSet = v => v != null && v !== '';
+
+  function literal(obj){
+    const parts = Object.entries(obj).map(([k, v]) => `${k}: ${JSON.stringify(v)}`);
+    return parts.length ? `{ ${parts.join(', ')} }` : '{}';
+  }
+
+  // Image sets without their empty fields
+  function compactImages(images){
+    const face = set => set && Object.fromEntries(Object.entries(set).filter(([, v]) => isSet(v)));
+    return Object.fromEntries(['front', 'back'].filter(k => images[k]).map(k => [k, face(images[k])]));
+  }
+
+  // catalog: { layout, albums } with normalized albums -> data.js source text
+  function serializeDataJs(catalog){
+    const layout = catalog?.layout && Object.keys(catalog.layout).length ? catalog.layout : null;
+    const albums = (catalog?.albums || []).map(a => {
+      const out = { front: a.front, back: a.back, discs: a.discs };
+      for (const k of ALBUM_V2_FIELDS) if (isSet(a[k])) out[k] = k === 'images' ? compactImages(a[k]) : a[k];
+      return out;
+    });
+    const v2 = layout || albums.some(a => ALBUM_V2_FIELDS.some(k => k in a));
+    const rows = albums.map(a => `  ${v2 ? '  ' : ''}${literal(a)},`).join('\n');
+    if (!v2) return `window.albums = [\n${rows}\n];\n`;
+    return `window.catalog = {\n  version: ${SCHEMA_VERSION},\n` +
+      (layout ? `  layout: ${literal(layout)},\n` : '') +
+      `  albums: [\n${rows}\n  ],\n};\n`;
+  }
+
+  // songs: normalized songs -> songs.json text; `n` is recomputed with the
+  // search normalization (SongIndex.norm) so it always matches the title
+  function serializeSongs(songs, { norm }){
+    const list = (songs || []).map(s => {
+      const out = { title: s.title, n: norm(s.title), albumIndex: s.albumIndex, disc: s.disc ?? null };
+      for (const k of SONG_V2_FIELDS) if (isSet(s[k])) out[k] = s[k];
+      return out;
+    });
+    const v2 = list.some(s => SONG_V2_FIELDS.some(k => k in s));
+    return JSON.stringify(v2 ? { version: SCHEMA_VERSION, songs: list } : list, null, 2) + '\n';
+  }
+
+  const Catalog = {
+    SCHEMA_VERSION, normalizeAlbum, readAlbums, normalizeSong, readSongs, albumLabel, trackLabel,
+    serializeDataJs, serializeSongs,
+  };
+  if (typeof module === 'object' && module.exports) module.exports = Catalog;
+  else root.Catalog = Catalog;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,195 @@
+/* Jukebox core: the catalog logic without a page
+   - Slot maps (slots.js), "Platz" labels, which Platz plays a song, and song search
+     (song-index.js) grouped by song with one hit per album and disc
+   - The viewer's state (album, side, selection code, search query) and a small API for
+     any UI on top: goToPlatz, goToAlbum, flip, search, getState
+   - Events (on/off): platzchange, flip, searchresult; listeners run synchronously
+   - findAcross: one song search over several cores, e.g. one per machine (profiles.js)
+   - No DOM: plain script in the browser (window.JukeboxCore), require()-able in Node,
+     tested in test/core.test.js
+*/
+(function (root) {
+  const inNode = typeof module === 'object' && module.exports;
+  const SlotLayout = inNode ? require('./slots.js') : root.SlotLayout;
+  const SongIndex = inNode ? require('./song-index.js') : root.SongIndex;
+
+  const MAX_RESULTS = 8;   // song search: number of result groups
+  const MIN_SCORE = 0.15;  // song search: cut-off to reject noise
+  const EVENTS = ['platzchange', 'flip', 'searchresult'];
+  const { norm } = SongIndex;
+
+  // One title against a query on the search's scale (3 = exact title), 0 for no match
+  function fuzzyScore(query, title){
+    const hit = SongIndex.search(SongIndex.build([{ n: title }]), query, { minScore: 0 })[0];
+    return hit ? hit.score : 0;
+  }
+
+  // Version qualifiers like "(Live)" or "- Remix '99" are stripped so that
+  // the same song on several albums ends up in one result group.
+  function songKey(title){
+    const base = String(title || '')
+      .replace(/\s*[(\[][^)\]]*[)\]]/g, ' ')
+      .replace(/\s+-\s+.*$/, '');
+    return norm(base) || norm(title);
+  }
+
+  // opts: { albums (normalized, see catalog.js), layout (slot layout config, see slots.js),
+  //         songs (normalized; also later through setSongs) }
+  //
+  // State, as returned by getState():
+  //   { albumIndex, platz, label, back, query }
+  //   platz is the selection code shown for the album: the exact code it was opened with
+  //   (e.g. disc 2) while it stays shown, else its first one; label is its range ("12–13").
+  // Events, each with that state:
+  //   platzchange  another album or code; also carries `previous` (the state before)
+  //   flip         same album, other side
+  //   searchresult { query, groups } after search()
+  function create(opts = {}){
+    const albums = opts.albums || [];
+    const layout = SlotLayout.create(opts.layout || {});
+    const { albumSlots, slotToAlbum, problems } = SlotLayout.assign(albums, layout);
+    const albumStartSlot = albumSlots.map(p => p.length ? layout.code(p[0]) : null);
+    const listeners = new Map(EVENTS.map(type => [type, new Set()]));
+    let songs = [];
+    let index = null;
+    const state = { albumIndex: albums.length ? 0 : -1, selected: null, back: false, query: '' };
+
+    function on(type, fn){
+      if (!listeners.has(type)) throw new Error(`Unknown event "${type}"`);
+      listeners.get(type).add(fn);
+      return () => off(type, fn);
+    }
+    function off(type, fn){
+      listeners.get(type)?.delete(fn);
+    }
+    function emit(type, detail){
+      for (const fn of [...listeners.get(type)]) fn(detail);
+    }
+
+    const rangeLabel = i => SlotLayout.rangeLabel(layout, albumSlots[i]);
+    // Selection code (any case, spaces ignored) -> album index, or -1
+    function albumAt(code){
+      const pos = layout.parse(code);
+      return pos >= 0 ? slotToAlbum.get(layout.code(pos)) ?? -1 : -1;
+    }
+    // { slot, approx }: approx when the song's disc is unknown on a multi-disc album
+    function computePlatzForSong(song){
+      const i = Number(song?.albumIndex ?? -1);
+      if (!(i >= 0) || !albums[i] || !albumSlots[i]?.length) return { slot: null, approx: false };
+
+      const positions = albumSlots[i];
+      const start = albumStartSlot[i];
+      const d = song?.disc;
+
+      if (d >= 1 && d <= positions.length) return { slot: layout.code(positions[d-1]), approx: false };
+      if (d != null) return { slot: start, approx: true }; // song names a disc the album lacks
+
+      if (positions.length === 1) return { slot: start, approx: false };
+      return { slot: start, approx: true };
+    }
+
+    // Builds the search index once per catalog (again after disc corrections)
+    function setSongs(list){
+      songs = list || [];
+      // Songs without their own artist inherit the album's, so search can match it.
+      // `id` leads from a search hit (a copy) back to its entry in songs.
+      index = SongIndex.build(songs.map((s, id) => ({ ...s, id, artist: s.artist || albums[s.albumIndex]?.artist || '' })));
+    }
+    // The song with normalized title n on album i
+    function songOf(i, n){
+      return songs.find(s => s.albumIndex === i && s.n === n) || null;
+    }
+    // [{ key, title, score, hits: [{ song, score, platz }] }], best group first
+    function findSongs(query, limit = MAX_RESULTS){
+      const hits = SongIndex.search(index, query, { minScore: MIN_SCORE });
+      const groups = new Map();
+      for (const h of hits){
+        const key = songKey(h.song.title || h.song.n);
+        let g = groups.get(key);
+        if (!g){
+          if (groups.size >= limit) continue;
+          g = { key, title: h.song.title || h.song.n, score: h.score, hits: [] };
+          groups.set(key, g);
+        }
+        if (g.hits.some(x => x.song.albumIndex === h.song.albumIndex && x.song.disc === h.song.disc)) continue;
+        g.hits.push({ ...h, platz: computePlatzForSong(h.song) });
+      }
+      return [...groups.values()];
+    }
+
+    function getState(){
+      const i = state.albumIndex;
+      const platz = state.selected != null && slotToAlbum.get(state.selected) === i ? state.selected : albumStartSlot[i] ?? null;
+      return { albumIndex: i, platz, label: i >= 0 ? rangeLabel(i) : '', back: state.back, query: state.query };
+    }
+
+    // Shows album i, on its front unless o.back; o.platz keeps an exact selection code of
+    // that album. Returns false for an album that does not exist.
+    function goToAlbum(i, o = {}){
+      if (!(Number.isInteger(i) && i >= 0 && i < albums.length)) return false;
+      const previous = getState();
+      state.albumIndex = i;
+      state.selected = o.platz != null && slotToAlbum.get(o.platz) === i ? o.platz : null;
+      state.back = !!o.back;
+      const now = getState();
+      if (now.albumIndex !== previous.albumIndex || now.platz !== previous.platz) emit('platzchange', { ...now, previous });
+      else if (now.back !== previous.back) emit('flip', now);
+      return true;
+    }
+    // Shows the album at a selection code; returns its index, or -1 for a free or invalid code
+    function goToPlatz(code, o = {}){
+      const pos = layout.parse(code);
+      const i = albumAt(code);
+      if (i < 0) return -1;
+      goToAlbum(i, { back: o.back, platz: layout.code(pos) });
+      return i;
+    }
+    // Turns the album over, or to the given side; returns whether the back is shown
+    function flip(back = !state.back){
+      if (state.albumIndex < 0 || state.back === !!back) return state.back;
+      state.back = !!back;
+      emit('flip', getState());
+      return state.back;
+    }
+    // Searches the songs and remembers the query; an empty query clears the results
+    function search(query, o = {}){
+      state.query = String(query ?? '');
+      const groups = state.query.trim() ? findSongs(state.query, o.limit) : [];
+      emit('searchresult', { query: state.query, groups });
+      return groups;
+    }
+
+    if (opts.songs) setSongs(opts.songs);
+
+    return {
+      albums, layout, albumSlots, slotToAlbum, albumStartSlot, problems,
+      get songs(){ return songs; },
+      setSongs, songOf, rangeLabel, albumAt, computePlatzForSong, findSongs,
+      goToAlbum, goToPlatz, flip, search, getState,
+      on, off,
+    };
+  }
+
+  // Song search over several catalogs: entries [{ machine, core }], in the order their
+  // hits are listed. Same groups as findSongs; each hit also carries its `machine`.
+  // Groups are ranked by their best score, earlier entries first on a tie.
+  function findAcross(entries, query, limit = MAX_RESULTS){
+    const groups = new Map();
+    for (const { machine, core } of entries){
+      for (const g of core.findSongs(query, limit)){
+        const hits = g.hits.map(h => ({ ...h, machine }));
+        const seen = groups.get(g.key);
+        if (!seen) groups.set(g.key, { ...g, hits });
+        else {
+          seen.hits.push(...hits);
+          seen.score = Math.max(seen.score, g.score);
+        }
+      }
+    }
+    return [...groups.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  const JukeboxCore = { create, findAcross, norm, fuzzyScore, songKey, MAX_RESULTS, MIN_SCORE };
+  if (inNode) module.exports = JukeboxCore;
+  else root.JukeboxCore = JukeboxCore;
+})(typeof self !== 'undefined' ? self : this);
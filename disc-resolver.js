@@ -0,0 +1,232 @@
+/* Disc resolver (admin mode)
+   - Per-album view of the tracks of multi-disc albums with an unknown disc
+   - Suggests a split from track order: track numbers restarting at 1, record
+     sides (A/B = disc 1, C/D = disc 2 …), discs already known, otherwise even halves
+   - Corrections are stored in localStorage, per machine (profiles.js), and merged on top
+     of songs.json at load
+*/
+(() => {
+  const STORAGE_KEY = 'jukebox-disc-overrides';
+  // The shown machine's corrections unless another profile is given
+  const storageKey = profile => window.JukeboxProfiles?.storageKey(STORAGE_KEY, profile) ?? STORAGE_KEY;
+
+  // Overrides are keyed by the album's front image, the normalized title and the
+  // occurrence of that title on the album, so they survive album reordering.
+  function songKeys(songs, albums){
+    const seen = new Map();
+    return songs.map(s => {
+      const front = albums[s.albumIndex]?.front;
+      if (!front) return null;
+      const base = `${front}|${s.n}`;
+      const k = seen.get(base) || 0;
+      seen.set(base, k + 1);
+      return `${base}|${k}`;
+    });
+  }
+
+  function loadOverrides(profile){
+    try {
+      const d = JSON.parse(localStorage.getItem(storageKey(profile)) || 'null');
+      return d && typeof d.overrides === 'object' ? d.overrides : {};
+    } catch {
+      return {};
+    }
+  }
+  function saveOverrides(overrides){
+    try {
+      localStorage.setItem(storageKey(), JSON.stringify({ version: 1, overrides }));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Sets song.disc from stored corrections (of another machine with profile); returns how many were applied
+  function applyOverrides(songs, albums, profile){
+    const overrides = loadOverrides(profile);
+    let applied = 0;
+    songKeys(songs, albums).forEach((key, k) => {
+      if (key && key in overrides){
+        songs[k].disc = overrides[key];
+        applied++;
+      }
+    });
+    return applied;
+  }
+
+  // tracks: the album's songs in catalog order. Returns one disc number per track.
+  function suggest(tracks, discs){
+    const m = tracks.length;
+    if (discs < 2 || !m) return tracks.map(() => 1);
+
+    // Track numbers that restart at 1 mark the start of the next disc
+    const restarts = [];
+    tracks.forEach((t, k) => { if (k && t.track === 1 && tracks[k-1].track != null) restarts.push(k); });
+    if (restarts.length === discs - 1){
+      let d = 1;
+      return tracks.map((_, k) => { if (restarts.includes(k)) d++; return d; });
+    }
+
+    // Record sides: two sides per disc
+    if (tracks.every(t => /^[A-Z]$/.test(t.side || ''))){
+      return tracks.map(t => Math.min(discs, Math.floor((t.side.charCodeAt(0) - 65) / 2) + 1));
+    }
+
+    if (discs === 2){
+      // Split point that contradicts the fewest known discs; ties go to the middle
+      let best = Math.ceil(m / 2), bestCost = Infinity;
+      for (let split = 0; split <= m; split++){
+        let cost = 0;
+        tracks.forEach((t, k) => {
+          if (t.disc != null && t.disc !== (k < split ? 1 : 2)) cost++;
+        });
+        const tie = Math.abs(split - m / 2) < Math.abs(best - m / 2);
+        if (cost < bestCost || (cost === bestCost && tie)){ best = split; bestCost = cost; }
+      }
+      return tracks.map((_, k) => (k < best ? 1 : 2));
+    }
+
+    // More discs: even chunks in order
+    const size = Math.ceil(m / discs);
+    return tracks.map((_, k) => Math.min(discs, Math.floor(k / size) + 1));
+  }
+
+  // opts: { albums, songs, albumIndex, rangeLabel(i), onChange() }
+  // `songs` are the viewer's songs; changes are written to them directly.
+  function open(opts){
+    const panel = document.getElementById('discs');
+    const albumList = document.getElementById('discs-albums');
+    const trackPane = document.getElementById('discs-tracks');
+    const status = document.getElementById('discs-status');
+    if (!panel || !albumList || !trackPane) return;
+    const { albums, songs } = opts;
+    const multi = albums.map((a, i) => i).filter(i => albums[i].discs > 1);
+    let selected = multi.includes(opts.albumIndex) ? opts.albumIndex : (multi[0] ?? -1);
+
+    const tracksOf = i => songs.filter(s => s.albumIndex === i);
+    const setStatus = msg => { if (status) status.textContent = msg; };
+
+    function commit(changes){
+      const overrides = loadOverrides();
+      const keys = songKeys(songs, albums);
+      for (const [s, disc] of changes){
+        s.disc = disc;
+        const key = keys[songs.indexOf(s)];
+        // null is stored too: it overrides a wrong disc from songs.json
+        if (key) overrides[key] = disc;
+      }
+      setStatus(saveOverrides(overrides) ? `${Object.keys(overrides).length} Korrekturen gespeichert` : 'Speichern fehlgeschlagen');
+      opts.onChange?.();
+      render();
+    }
+
+    function renderAlbums(){
+      albumList.innerHTML = '';
+      for (const i of multi){
+        const open = tracksOf(i).filter(s => s.disc == null).length;
+        const li = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.dataset.index = String(i);
+        btn.className = 'discs-album' + (i === selected ? ' is-selected' : '');
+        btn.textContent = `Platz ${opts.rangeLabel(i)}`;
+        const info = document.createElement('span');
+        info.className = open ? 'discs-open' : 'muted';
+        info.textContent = open ? ` ${open} offen` : ' ✓';
+        btn.appendChild(info);
+        li.appendChild(btn);
+        albumList.appendChild(li);
+      }
+    }
+
+    function renderTracks(){
+      trackPane.innerHTML = '';
+      if (selected < 0){
+        trackPane.textContent = 'Keine Alben mit mehreren Discs.';
+        return;
+      }
+      const discs = albums[selected].discs;
+      const tracks = tracksOf(selected);
+      const proposal = suggest(tracks, discs);
+
+      const head = document.createElement('div');
+      head.className = 'editor-tracks-head';
+      const h = document.createElement('h3');
+      const label = window.Catalog.albumLabel(albums[selected]);
+      h.textContent = `Platz ${opts.rangeLabel(selected)}${label ? ` – ${label}` : ''}`;
+      const apply = document.createElement('button');
+      apply.type = 'button';
+      apply.dataset.act = 'apply';
+      apply.textContent = 'Vorschlag für offene übernehmen';
+      apply.disabled = !tracks.some(s => s.disc == null);
+      head.append(h, apply);
+      trackPane.appendChild(head);
+
+      const list = document.createElement('ol');
+      list.className = 'discs-track-list';
+      tracks.forEach((s, k) => {
+        const li = document.createElement('li');
+        li.dataset.song = String(songs.indexOf(s));
+        if (s.disc == null) li.className = 'is-open';
+        const title = document.createElement('span');
+        title.className = 'discs-title';
+        title.textContent = s.title;
+        const group = document.createElement('span');
+        group.className = 'discs-choice';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', `Disc für ${s.title}`);
+        for (let d = 1; d <= discs; d++){
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.dataset.disc = String(d);
+          b.textContent = String(d);
+          b.setAttribute('aria-pressed', String(s.disc === d));
+          // Unknown tracks show the suggestion as a dashed outline
+          if (s.disc == null && proposal[k] === d) b.classList.add('is-suggested');
+          group.appendChild(b);
+        }
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.dataset.disc = '';
+        clear.textContent = '?';
+        clear.title = 'Disc unbekannt';
+        clear.setAttribute('aria-pressed', String(s.disc == null));
+        group.appendChild(clear);
+        li.append(title, group);
+        list.appendChild(li);
+      });
+      trackPane.appendChild(list);
+    }
+
+    function render(){
+      renderAlbums();
+      renderTracks();
+    }
+
+    albumList.onclick = e => {
+      const btn = e.target.closest('button[data-index]');
+      if (!btn) return;
+      selected = Number(btn.dataset.index);
+      render();
+    };
+    trackPane.onclick = e => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      if (btn.dataset.act === 'apply'){
+        const tracks = tracksOf(selected);
+        const proposal = suggest(tracks, albums[selected].discs);
+        commit(tracks.map((s, k) => [s, proposal[k]]).filter(([s]) => s.disc == null));
+      } else if (btn.dataset.disc != null){
+        const s = songs[Number(btn.closest('[data-song]').dataset.song)];
+        commit([[s, btn.dataset.disc ? Number(btn.dataset.disc) : null]]);
+      }
+    };
+    panel.querySelector('[data-act="close"]').onclick = () => { panel.hidden = true; };
+
+    setStatus(`${Object.keys(loadOverrides()).length} Korrekturen gespeichert`);
+    render();
+    panel.hidden = false;
+  }
+
+  window.DiscResolver = { open, suggest, applyOverrides };
+})();
@@ -0,0 +1,331 @@
+/* Catalog editor (admin mode, index.html?admin)
+   - Reorder albums (drag & drop or ↑/↓), change discs, slot and album metadata
+   - Edit, add and delete track titles; move tracks to another album or disc
+   - Every albumIndex in the songs follows album moves automatically
+   - Draft lives in localStorage until data.js / songs.json are exported;
+     index.html?draft shows the draft in the viewer
+*/
+(() => {
+  // One draft per machine (profiles.js)
+  const DRAFT_KEY = window.JukeboxProfiles?.storageKey('jukebox-editor-draft') ?? 'jukebox-editor-draft';
+  const SAVE_DELAY_MS = 400;
+  const { Catalog, SlotLayout, SongIndex } = window;
+
+  function loadDraft(){
+    try {
+      const d = JSON.parse(localStorage.getItem(DRAFT_KEY) || 'null');
+      if (!d || !Array.isArray(d.albums) || !Array.isArray(d.songs)) return null;
+      return {
+        savedAt: d.savedAt || null,
+        layout: d.layout || {},
+        albums: d.albums.map(Catalog.normalizeAlbum),
+        songs: d.songs.map(Catalog.normalizeSong),
+      };
+    } catch {
+      return null;
+    }
+  }
+  function saveDraft(draft){
+    try {
+      localStorage.setItem(DRAFT_KEY, JSON.stringify({ ...draft, savedAt: new Date().toISOString() }));
+      return true;
+    } catch {
+      return false; // quota exceeded or storage disabled
+    }
+  }
+  function clearDraft(){
+    try { localStorage.removeItem(DRAFT_KEY); } catch {}
+  }
+
+  // Moves album `from` to position `to` and renumbers every song's albumIndex
+  function moveAlbum(draft, from, to){
+    const n = draft.albums.length;
+    if (from === to || from < 0 || to < 0 || from >= n || to >= n) return;
+    const order = draft.albums.map((_, i) => i);
+    order.splice(to, 0, order.splice(from, 1)[0]);
+    const newIndex = new Array(n);
+    order.forEach((oldIdx, newIdx) => { newIndex[oldIdx] = newIdx; });
+    draft.albums = order.map(i => draft.albums[i]);
+    for (const s of draft.songs){
+      if (s.albumIndex >= 0 && s.albumIndex < n) s.albumIndex = newIndex[s.albumIndex];
+    }
+  }
+
+  function download(name, text, type){
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function el(tag, props = {}, ...children){
+    const node = document.createElement(tag);
+    for (const [k, v] of Object.entries(props)){
+      if (k === 'dataset') Object.assign(node.dataset, v);
+      else if (k in node) node[k] = v;
+      else node.setAttribute(k, v);
+    }
+    node.append(...children.filter(c => c != null));
+    return node;
+  }
+
+  // source: { layout, albums, songs } as loaded by the viewer (normalized)
+  function open(source){
+    const panel = document.getElementById('editor');
+    const albumList = document.getElementById('editor-albums');
+    const trackPane = document.getElementById('editor-tracks');
+    const status = document.getElementById('editor-status');
+    if (!panel || !albumList || !trackPane) return;
+
+    const saved = loadDraft();
+    const draft = saved
+      ? { layout: saved.layout, albums: saved.albums, songs: saved.songs }
+      : JSON.parse(JSON.stringify({ layout: source.layout || {}, albums: source.albums, songs: source.songs }));
+    let selected = 0;      // album index shown in the track pane, -1 = tracks without album
+    let dragFrom = -1;
+    let saveTimer = 0;
+
+    function setStatus(msg){
+      if (status) status.textContent = msg;
+    }
+
+    // Disc corrections made after the draft was saved (disc-resolver.js) fill in the discs
+    // it still lacks, so they are exported too; a disc set here wins
+    let taken = 0;
+    if (saved && window.DiscResolver){
+      const corrected = draft.songs.map(s => ({ ...s }));
+      window.DiscResolver.applyOverrides(corrected, draft.albums);
+      corrected.forEach((c, k) => {
+        if (draft.songs[k].disc == null && c.disc != null){
+          draft.songs[k].disc = c.disc;
+          taken++;
+        }
+      });
+      if (taken) saveDraft(draft);
+    }
+    setStatus(!saved ? 'Kein Entwurf'
+      : `Entwurf vom ${new Date(saved.savedAt).toLocaleString('de-AT')}${taken ? ` · ${taken} Disc-Korrekturen übernommen` : ''}`);
+
+    function changed(){
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(() => {
+        setStatus(saveDraft(draft) ? 'Entwurf gespeichert' : 'Entwurf konnte nicht gespeichert werden');
+      }, SAVE_DELAY_MS);
+    }
+
+    // Platz per album, and why an album did not get the slot it asks for (slots.js)
+    const PROBLEM_TEXT = {
+      'slot-invalid': 'Ungültiger fester Platz',
+      'slot-conflict': 'Fester Platz ist belegt oder eine Lücke',
+      'slot-overflow': 'Nicht genug freie Plätze',
+      'capacity-invalid': 'Ungültige Kapazität im Layout, es gilt der Standardwert',
+    };
+    function slotLabels(){
+      const layout = SlotLayout.create(draft.layout);
+      const { albumSlots, problems } = SlotLayout.assign(draft.albums, layout);
+      const notes = new Map(problems.map(p => [p.albumIndex, PROBLEM_TEXT[p.code] || p.message]));
+      return { labels: albumSlots.map(p => SlotLayout.rangeLabel(layout, p)), notes };
+    }
+
+    function renderAlbums(){
+      const { labels, notes } = slotLabels();
+      const counts = new Array(draft.albums.length).fill(0);
+      let orphans = 0;
+      for (const s of draft.songs){
+        if (s.albumIndex >= 0 && s.albumIndex < counts.length) counts[s.albumIndex]++;
+        else orphans++;
+      }
+      albumList.innerHTML = '';
+      // The layout's own problem (albumIndex -1) heads the list
+      if (notes.has(-1)) albumList.appendChild(el('li', { className: 'editor-problem' }, `⚠ ${notes.get(-1)}`));
+      draft.albums.forEach((a, i) => {
+        const field = (name, props) => el('input', { dataset: { field: name }, value: a[name] ?? '', ...props });
+        albumList.appendChild(el('li', {
+          className: 'editor-album' + (i === selected ? ' is-selected' : ''),
+          draggable: true,
+          dataset: { index: String(i) },
+        },
+          el('span', { className: 'drag', title: 'Ziehen zum Verschieben', 'aria-hidden': 'true' }, '⠿'),
+          el('img', { src: a.front, alt: '', loading: 'lazy' }),
+          el('button', { type: 'button', className: 'editor-platz', dataset: { act: 'select' }, title: 'Titel anzeigen' }, `Platz ${labels[i]}`),
+          field('artist', { placeholder: 'Interpret' }),
+          field('title', { placeholder: 'Albumtitel' }),
+          field('year', { type: 'number', placeholder: 'Jahr', className: 'narrow' }),
+          el('label', {}, 'Discs ', field('discs', { type: 'number', min: '1', className: 'narrow' })),
+          field('slot', { placeholder: 'fix', className: 'narrow', title: 'Fester Platz (leer = nach dem vorigen Album)', 'aria-invalid': notes.has(i) ? 'true' : 'false' }),
+          notes.has(i) ? el('span', { className: 'editor-problem' }, `⚠ ${notes.get(i)}`) : null,
+          el('span', { className: 'muted' }, `${counts[i]} Titel`),
+          el('button', { type: 'button', dataset: { act: 'up' }, 'aria-label': 'Nach oben', disabled: i === 0 }, '↑'),
+          el('button', { type: 'button', dataset: { act: 'down' }, 'aria-label': 'Nach unten', disabled: i === draft.albums.length - 1 }, '↓'),
+        ));
+      });
+      if (orphans){
+        albumList.appendChild(el('li', { className: 'editor-album' + (selected === -1 ? ' is-selected' : ''), dataset: { index: '-1' } },
+          el('button', { type: 'button', className: 'editor-platz', dataset: { act: 'select' } }, `Ohne Album (${orphans} Titel)`)));
+      }
+    }
+
+    function renderTracks(){
+      trackPane.innerHTML = '';
+      const inAlbum = selected >= 0;
+      const album = draft.albums[selected];
+      const discs = album?.discs || 1;
+      const { labels } = slotLabels();
+      trackPane.appendChild(el('div', { className: 'editor-tracks-head' },
+        el('h3', {}, inAlbum ? `Platz ${labels[selected]}${Catalog.albumLabel(album) ? ` – ${Catalog.albumLabel(album)}` : ''}` : 'Titel ohne gültiges Album'),
+        inAlbum ? el('button', { type: 'button', dataset: { act: 'add-track' } }, 'Titel hinzufügen') : null,
+      ));
+      const albumOptions = () => draft.albums.map((a, i) =>
+        el('option', { value: String(i) }, `Platz ${labels[i]} – ${Catalog.albumLabel(a) || a.front.split('/').pop()}`));
+
+      const list = el('ol', { className: 'editor-track-list' });
+      draft.songs.forEach((s, k) => {
+        const belongs = inAlbum ? s.albumIndex === selected : !(s.albumIndex >= 0 && s.albumIndex < draft.albums.length);
+        if (!belongs) return;
+        const disc = el('select', { dataset: { field: 'disc' }, 'aria-label': 'Disc' },
+          el('option', { value: '' }, 'Disc ?'),
+          ...Array.from({ length: Math.max(discs, s.disc || 0) }, (_, d) => el('option', { value: String(d + 1) }, `Disc ${d + 1}`)));
+        disc.value = s.disc == null ? '' : String(s.disc);
+        const move = el('select', { dataset: { field: 'albumIndex' }, 'aria-label': 'Album' },
+          ...(inAlbum ? [] : [el('option', { value: '' }, 'Album wählen…')]), ...albumOptions());
+        move.value = inAlbum ? String(s.albumIndex) : '';
+        list.appendChild(el('li', { dataset: { song: String(k) } },
+          el('input', { dataset: { field: 'title' }, value: s.title, 'aria-label': 'Titel' }),
+          disc,
+          move,
+          el('button', { type: 'button', dataset: { act: 'delete-track' }, 'aria-label': 'Titel löschen' }, '✕'),
+        ));
+      });
+      trackPane.appendChild(list);
+    }
+
+    function render(){
+      renderAlbums();
+      renderTracks();
+    }
+
+    // Album list: select, reorder, edit fields
+    albumList.onclick = e => {
+      const row = e.target.closest('[data-index]');
+      const btn = e.target.closest('button[data-act]');
+      if (!row || !btn) return;
+      const i = Number(row.dataset.index);
+      if (btn.dataset.act === 'select') selected = i;
+      else if (btn.dataset.act === 'up' || btn.dataset.act === 'down'){
+        const to = i + (btn.dataset.act === 'up' ? -1 : 1);
+        moveAlbum(draft, i, to);
+        if (selected === i) selected = to;
+        else if (selected === to) selected = i;
+        changed();
+      }
+      render();
+    };
+    albumList.onchange = e => {
+      const input = e.target.closest('[data-field]');
+      const row = e.target.closest('[data-index]');
+      if (!input || !row) return;
+      const i = Number(row.dataset.index);
+      const a = draft.albums[i];
+      const f = input.dataset.field;
+      if (f === 'discs'){
+        a.discs = Math.max(1, parseInt(input.value, 10) || 1);
+        // Tracks on a disc the album no longer has go back to unknown, as on a move
+        for (const s of draft.songs) if (s.albumIndex === i && s.disc != null && s.disc > a.discs) s.disc = null;
+      }
+      else if (f === 'year') a.year = parseInt(input.value, 10) || null;
+      else if (f === 'slot') a.slot = input.value.trim() || null;
+      else a[f] = input.value.trim();
+      changed();
+      render();
+    };
+    albumList.ondragstart = e => {
+      const row = e.target.closest('[data-index]');
+      dragFrom = row ? Number(row.dataset.index) : -1;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(dragFrom));
+    };
+    albumList.ondragover = e => {
+      if (dragFrom >= 0 && e.target.closest('[data-index]')) e.preventDefault();
+    };
+    albumList.ondrop = e => {
+      const row = e.target.closest('[data-index]');
+      const to = row ? Number(row.dataset.index) : -1;
+      if (dragFrom < 0 || to < 0) return;
+      e.preventDefault();
+      const sel = draft.albums[selected];
+      moveAlbum(draft, dragFrom, to);
+      if (sel) selected = draft.albums.indexOf(sel);
+      dragFrom = -1;
+      changed();
+      render();
+    };
+
+    // Track pane: edit, reassign, add, delete
+    trackPane.onchange = e => {
+      const input = e.target.closest('[data-field]');
+      const row = e.target.closest('[data-song]');
+      if (!input || !row) return;
+      const s = draft.songs[Number(row.dataset.song)];
+      const f = input.dataset.field;
+      if (f === 'title'){ s.title = input.value.trim(); s.n = SongIndex.norm(s.title); }
+      else if (f === 'disc') s.disc = input.value ? Number(input.value) : null;
+      else if (f === 'albumIndex' && input.value !== ''){
+        s.albumIndex = Number(input.value);
+        // The old disc may not exist on the new album
+        if (s.disc != null && s.disc > (draft.albums[s.albumIndex]?.discs || 1)) s.disc = null;
+      }
+      changed();
+      if (f !== 'title') render();
+    };
+    trackPane.onclick = e => {
+      const btn = e.target.closest('button[data-act]');
+      if (!btn) return;
+      if (btn.dataset.act === 'add-track'){
+        draft.songs.push(Catalog.normalizeSong({ title: '', albumIndex: selected, disc: null }));
+        changed();
+        render();
+        trackPane.querySelector('.editor-track-list li:last-child input')?.focus();
+      } else if (btn.dataset.act === 'delete-track'){
+        const k = Number(btn.closest('[data-song]').dataset.song);
+        draft.songs.splice(k, 1);
+        changed();
+        render();
+      }
+    };
+
+    // Toolbar
+    panel.querySelector('.panel-bar').onclick = e => {
+      const act = e.target.closest('button[data-editor]')?.dataset.editor;
+      if (act === 'export-data') download('data.js', Catalog.serializeDataJs(draft), 'text/javascript');
+      else if (act === 'export-songs'){
+        // Titles left empty while editing are dropped from the export
+        const songs = draft.songs.filter(s => s.title);
+        download('songs.json', Catalog.serializeSongs(songs, { norm: SongIndex.norm }), 'application/json');
+      } else if (act === 'preview'){
+        clearTimeout(saveTimer);
+        saveDraft(draft);
+        const url = new URL(location.href);
+        url.searchParams.set('draft', '1');
+        location.href = url.toString();
+      } else if (act === 'discard'){
+        if (!confirm('Entwurf verwerfen und die veröffentlichten Dateien neu laden?')) return;
+        clearTimeout(saveTimer);
+        clearDraft();
+        const url = new URL(location.href);
+        url.searchParams.delete('draft');
+        location.href = url.toString();
+      } else if (act === 'close'){
+        panel.hidden = true;
+      }
+    };
+
+    render();
+    panel.hidden = false;
+  }
+
+  window.CatalogEditor = { open, loadDraft, clearDraft };
+})();
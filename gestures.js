@@ -0,0 +1,115 @@
+/* Gesture layer (Pointer Events: touch, pen and mouse alike)
+   - Tap, double tap, drag-to-pan, two-finger pinch and wheel zoom on one element
+   - Rules: a pointer that moves more than TAP_SLOP is not a tap; a tap waits
+     DOUBLE_TAP_MS for a second one, so a double tap never also counts as a tap;
+     one-finger drags are left to Swiper unless the card is zoomed (then they pan);
+     two fingers always pinch and lock swiping for the gesture
+   - Knows nothing about zoom itself: the handlers own that state
+*/
+(() => {
+  const TAP_SLOP = 10;        // px a tap may move
+  const TAP_MAX_MS = 500;     // longer presses are not taps
+  const DOUBLE_TAP_MS = 300;  // wait for a second tap before reporting a single one
+  const DOUBLE_TAP_SLOP = 30; // px between the two taps of a double tap
+  const LINE_PX = 16;         // wheel deltas in lines (Firefox) -> px
+
+  // handlers: { isZoomed(), lockSwipe(locked), tap(e), doubleTap(x, y, e),
+  //             zoomBy(factor, x, y), panBy(dx, dy), end() }
+  // x/y are client coordinates
+  function attach(el, handlers){
+    const pointers = new Map(); // pointerId -> { x, y }
+    let start = null;           // first pointer of the gesture: { id, x, y, time, moved }
+    let panning = false;
+    let pinch = null;           // { dist, x, y }
+    let lastTap = null;         // { x, y, time }
+    let tapTimer = 0;
+
+    const midpoint = () => {
+      const [a, b] = [...pointers.values()];
+      return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, dist: Math.hypot(a.x - b.x, a.y - b.y) };
+    };
+
+    function down(e){
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pointers.size === 1){
+        start = { id: e.pointerId, x: e.clientX, y: e.clientY, time: Date.now(), moved: false };
+        panning = handlers.isZoomed();
+        if (panning) handlers.lockSwipe(true);
+      } else if (pointers.size === 2){
+        // Second finger: pinch; the gesture can no longer be a tap
+        if (start) start.moved = true;
+        panning = false;
+        pinch = midpoint();
+        handlers.lockSwipe(true);
+      }
+    }
+
+    function move(e){
+      const p = pointers.get(e.pointerId);
+      if (!p) return;
+      const dx = e.clientX - p.x, dy = e.clientY - p.y;
+      p.x = e.clientX;
+      p.y = e.clientY;
+      if (start && !start.moved && Math.hypot(e.clientX - start.x, e.clientY - start.y) > TAP_SLOP) start.moved = true;
+      if (pinch && pointers.size >= 2){
+        const m = midpoint();
+        if (pinch.dist > 0) handlers.zoomBy(m.dist / pinch.dist, m.x, m.y);
+        handlers.panBy(m.x - pinch.x, m.y - pinch.y);
+        pinch = m;
+        e.preventDefault();
+      } else if (panning && start?.moved){
+        handlers.panBy(dx, dy);
+        e.preventDefault();
+      }
+    }
+
+    function up(e){
+      if (!pointers.delete(e.pointerId)) return;
+      if (pointers.size === 1 && pinch){
+        // Back to one finger after a pinch: keep panning if still zoomed
+        pinch = null;
+        panning = handlers.isZoomed();
+        return;
+      }
+      if (pointers.size) return;
+      const tap = e.type === 'pointerup' && start && !start.moved && Date.now() - start.time < TAP_MAX_MS;
+      const target = e.target;
+      start = null;
+      pinch = null;
+      panning = false;
+      handlers.lockSwipe(false);
+      handlers.end();
+      if (!tap) return;
+
+      const now = Date.now();
+      if (lastTap && now - lastTap.time < DOUBLE_TAP_MS && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < DOUBLE_TAP_SLOP){
+        clearTimeout(tapTimer);
+        lastTap = null;
+        handlers.doubleTap(e.clientX, e.clientY, e);
+        return;
+      }
+      lastTap = { x: e.clientX, y: e.clientY, time: now };
+      clearTimeout(tapTimer);
+      tapTimer = setTimeout(() => { lastTap = null; handlers.tap({ target, clientX: e.clientX, clientY: e.clientY }); }, DOUBLE_TAP_MS);
+    }
+
+    // Mouse wheel and trackpad pinch (reported as wheel + ctrlKey) zoom at the cursor
+    function wheel(e){
+      const px = e.deltaY * (e.deltaMode === 1 ? LINE_PX : e.deltaMode === 2 ? el.clientHeight : 1);
+      if (!px) return;
+      e.preventDefault();
+      handlers.zoomBy(Math.exp(-px * (e.ctrlKey ? 0.01 : 0.002)), e.clientX, e.clientY);
+      handlers.end();
+    }
+
+    el.addEventListener('pointerdown', down);
+    // Moves and ups are tracked on window so a drag that leaves the card still ends
+    window.addEventListener('pointermove', move, { passive: false });
+    window.addEventListener('pointerup', up);
+    window.addEventListener('pointercancel', up);
+    el.addEventListener('wheel', wheel, { passive: false });
+  }
+
+  window.JukeboxGestures = { attach };
+})();
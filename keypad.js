@@ -0,0 +1,155 @@
+/* Keypad selection (like the selector on the machine)
+   - Digits/letters typed anywhere outside inputs, or tapped on the on-screen keypad,
+     build a selection code; it is committed as soon as no longer code can follow,
+     after COMMIT_MS without a key, or with Enter/OK
+   - Keys that cannot lead to any selection code are refused, so e.g. "Z" or "7" on a
+     letter-digit machine never show up
+   - Codes that exist but hold no album are rejected with a message
+   - The pending code is shown large; results are announced to screen readers
+*/
+(() => {
+  const COMMIT_MS = 1500;  // wait for another key before committing
+  const RESULT_MS = 1800;  // how long the result stays in the display
+
+  const uniq = chars => [...new Set(chars)];
+
+  // Key rows for the on-screen keypad: phone-style digits, or letters then digits
+  function keyRows(codes){
+    if (codes.every(c => /^\d+$/.test(c))) return [['1', '2', '3', '4', '5', '6', '7', '8', '9', '0']];
+    return [uniq(codes.map(c => c[0])), uniq(codes.flatMap(c => [...c.slice(1)]))];
+  }
+
+  // opts: { codes: [every selection code, in order], resolve(code) -> label | null when not taken,
+  //         onCommit(code), onToggle(open) }
+  function create(opts){
+    const codes = opts.codes.map(c => String(c).toUpperCase());
+    const exact = new Set(codes);
+    const allowed = new Set(codes.join(''));
+    const overlay = document.getElementById('keypad');
+    const display = document.getElementById('keypad-pending');
+    const live = document.getElementById('keypad-live');
+    let pending = '';
+    let commitTimer = 0, resultTimer = 0;
+
+    const isPrefix = t => codes.some(c => c.startsWith(t));
+    const canGrow = t => codes.some(c => c.length > t.length && c.startsWith(t));
+
+    function announce(msg){
+      if (live) live.textContent = msg;
+    }
+    function show(text, state){
+      if (!display) return;
+      clearTimeout(resultTimer);
+      display.textContent = text;
+      display.dataset.state = state || 'pending';
+      display.hidden = !text;
+      if (state === 'ok' || state === 'error') resultTimer = setTimeout(() => { display.hidden = true; }, RESULT_MS);
+    }
+
+    function press(key){
+      const k = String(key).toUpperCase();
+      const next = pending + k;
+      if (!isPrefix(next)){
+        // Refused: the pending code stays as it was
+        if (pending) display?.setAttribute('data-state', 'error');
+        else show(`${k}?`, 'error');
+        announce(`Keine Auswahl beginnt mit ${next}`);
+        return;
+      }
+      pending = next;
+      show(pending);
+      clearTimeout(commitTimer);
+      if (!canGrow(pending)) commit();
+      else commitTimer = setTimeout(commit, COMMIT_MS);
+    }
+
+    function commit(){
+      clearTimeout(commitTimer);
+      const code = pending;
+      pending = '';
+      if (!code) return;
+      if (!exact.has(code)){
+        show(`${code}?`, 'error');
+        announce(`${code} ist keine vollständige Auswahl`);
+        return;
+      }
+      const label = opts.resolve(code);
+      if (label == null){
+        show(`${code} – nicht belegt`, 'error');
+        announce(`Platz ${code} ist nicht belegt`);
+        return;
+      }
+      show(`${code} – ${label}`, 'ok');
+      announce(`Platz ${code}: ${label}`);
+      opts.onCommit(code);
+    }
+
+    function backspace(){
+      if (!pending) return;
+      pending = pending.slice(0, -1);
+      clearTimeout(commitTimer);
+      if (pending) commitTimer = setTimeout(commit, COMMIT_MS);
+      show(pending);
+    }
+    function clear(){
+      clearTimeout(commitTimer);
+      pending = '';
+      show('');
+    }
+
+    // For the page's keydown handler (outside inputs); true when the key was used
+    function handleKey(e){
+      if (e.ctrlKey || e.metaKey || e.altKey) return false;
+      if (e.key.length === 1 && allowed.has(e.key.toUpperCase())){ press(e.key); return true; }
+      if (pending && e.key === 'Enter') commit();
+      else if (pending && e.key === 'Backspace') backspace();
+      else if (pending && e.key === 'Escape') clear();
+      else if (e.key === 'Escape' && overlay && !overlay.hidden) close();
+      else return false;
+      return true;
+    }
+
+    function open(){
+      if (!overlay) return;
+      overlay.hidden = false;
+      opts.onToggle?.(true);
+    }
+    function close(){
+      if (!overlay) return;
+      overlay.hidden = true;
+      opts.onToggle?.(false);
+    }
+
+    if (overlay){
+      const keys = overlay.querySelector('.keypad-keys');
+      for (const row of keyRows(codes)){
+        const group = document.createElement('div');
+        group.className = 'keypad-row';
+        for (const k of row){
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.dataset.key = k;
+          b.textContent = k;
+          group.appendChild(b);
+        }
+        keys.appendChild(group);
+      }
+      overlay.addEventListener('click', e => {
+        const b = e.target.closest('button');
+        if (!b) return;
+        if (b.dataset.key) press(b.dataset.key);
+        else if (b.dataset.act === 'back') backspace();
+        else if (b.dataset.act === 'ok') commit();
+        else if (b.dataset.act === 'close') close();
+      });
+    }
+
+    return {
+      press, commit, clear, handleKey, open, close,
+      get pending(){ return pending; },
+      get isOpen(){ return !!overlay && !overlay.hidden; },
+    };
+  }
+
+  window.JukeboxKeypad = { create };
+})();
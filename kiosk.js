@@ -0,0 +1,106 @@
+/* Kiosk / attract mode (index.html?kiosk)
+   - After `idle` seconds without input, shows one album after another every `interval`
+     seconds, optionally flipping each to its back cover first
+   - The next album's images are loaded before it is shown (opts.prepareNext)
+   - Fullscreen and a screen wake lock; browsers only allow fullscreen after a touch,
+     so it is requested on the first one (and again after it was left)
+   - The first touch or key press during the show ends it and is not passed on, so it
+     does not also flip or swipe
+*/
+(() => {
+  const DEFAULTS = { idle: 60, interval: 8, flip: false };
+  const INPUT_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+  const CLICK_GRACE_MS = 700; // the click that follows the waking touch
+
+  // opts: { idle, interval, flip (seconds / boolean),
+  //         prepareNext() -> Promise, advance(), showBack() -> Promise, reset(), onChange(running) }
+  function create(opts){
+    const cfg = { ...DEFAULTS, ...Object.fromEntries(Object.entries(opts).filter(([k, v]) => k in DEFAULTS && v != null)) };
+    let running = false;
+    let idleTimer = 0, stepTimer = 0;
+    let backShown = false;
+    let wokeAt = 0;
+    let wakeLock = null;
+
+    function requestWakeLock(){
+      if (!navigator.wakeLock || document.visibilityState !== 'visible') return;
+      navigator.wakeLock.request('screen').then(lock => { wakeLock = lock; }).catch(() => {});
+    }
+    function requestFullscreen(){
+      const root = document.documentElement;
+      if (!document.fullscreenElement && root.requestFullscreen) root.requestFullscreen().catch(() => {});
+    }
+
+    function armIdle(){
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(start, cfg.idle * 1000);
+    }
+
+    // One step every `interval`: back cover (with flip), then the next album
+    async function step(){
+      if (!running) return;
+      try {
+        if (cfg.flip && !backShown){
+          await opts.showBack();
+          backShown = true;
+        } else {
+          await opts.prepareNext();
+          if (!running) return;
+          opts.advance();
+          backShown = false;
+        }
+      } catch {}
+      if (running) stepTimer = setTimeout(step, cfg.interval * 1000);
+    }
+
+    function start(){
+      if (running) return;
+      running = true;
+      backShown = false;
+      opts.reset();
+      opts.onChange?.(true);
+      stepTimer = setTimeout(step, cfg.interval * 1000);
+    }
+    function stop(){
+      clearTimeout(stepTimer);
+      if (running){
+        running = false;
+        opts.reset();
+        opts.onChange?.(false);
+      }
+      armIdle();
+    }
+
+    function onInput(e){
+      if (e.type === 'pointerdown' || e.type === 'touchstart') requestFullscreen();
+      if (!running){ armIdle(); return; }
+      // End the show; this touch only wakes the app up
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.type !== 'keydown' && e.type !== 'wheel') wokeAt = Date.now();
+      stop();
+    }
+    INPUT_EVENTS.forEach(t => window.addEventListener(t, onInput, { capture: true, passive: false }));
+    window.addEventListener('click', e => {
+      if (Date.now() - wokeAt > CLICK_GRACE_MS) return;
+      wokeAt = 0;
+      e.preventDefault();
+      e.stopPropagation();
+    }, true);
+    // The browser drops the wake lock whenever the page is hidden
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && (!wakeLock || wakeLock.released)) requestWakeLock();
+    });
+
+    requestWakeLock();
+    armIdle();
+
+    return {
+      start, stop,
+      get running(){ return running; },
+      config: cfg,
+    };
+  }
+
+  window.JukeboxKiosk = { create, DEFAULTS };
+})();
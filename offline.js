@@ -0,0 +1,89 @@
+/* Offline support (service-worker.js)
+   - Registers the service worker
+   - "Offline speichern" loads every catalog image of the shown machine (profiles.js) into
+     the cache, with progress, so a tablet can be taken to a place without Wi-Fi
+   - A new version waits until the user taps "Neu laden" in the update bar (the worker
+     is told SKIP_WAITING and the page reloads once it has taken over)
+   - Runs without app.js, so a broken release can still be replaced by the next one
+*/
+(() => {
+  const UPDATE_CHECK_MS = 60 * 60 * 1000; // kiosk tablets stay open for days
+
+  function create(){
+    if (!('serviceWorker' in navigator)) return null;
+    const sw = navigator.serviceWorker;
+    const btn = document.getElementById('offline-btn');
+    const progress = document.getElementById('offline-progress');
+    const status = document.getElementById('offline-status');
+    const bar = document.getElementById('update-bar');
+    let waiting = null;
+    let reloading = false;
+
+    const setStatus = msg => { if (status) status.textContent = msg; };
+
+    function showUpdate(worker){
+      waiting = worker;
+      if (bar) bar.hidden = false;
+    }
+    function applyUpdate(){
+      if (!waiting) return;
+      reloading = true;
+      waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    function watch(reg){
+      // The very first install has nothing to replace, so no prompt then
+      if (reg.waiting && sw.controller) showUpdate(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && sw.controller) showUpdate(worker);
+        });
+      });
+      setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+      if (btn) btn.hidden = false;
+    }
+
+    sw.addEventListener('controllerchange', () => {
+      if (reloading) location.reload();
+    });
+
+    sw.addEventListener('message', (e) => {
+      const d = e.data;
+      if (d?.type !== 'PRECACHE_PROGRESS') return;
+      if (progress){
+        progress.hidden = d.finished;
+        progress.max = d.total;
+        progress.value = d.done;
+      }
+      if (!d.finished){
+        setStatus(`Bilder ${d.done}/${d.total} …`);
+        return;
+      }
+      if (btn) btn.disabled = false;
+      setStatus(d.failed ? `${d.failed} von ${d.total} Bildern nicht geladen – erneut versuchen` : `Alle ${d.total} Bilder offline verfügbar`);
+    });
+
+    btn?.addEventListener('click', () => {
+      btn.disabled = true;
+      setStatus('Starte …');
+      // Ask the browser not to evict the cache when storage runs low
+      navigator.storage?.persist?.().catch(() => {});
+      sw.ready.then(reg => reg.active.postMessage({ type: 'PRECACHE_IMAGES', machine: window.JukeboxProfiles?.active()?.id }));
+    });
+
+    bar?.addEventListener('click', (e) => {
+      const act = e.target.closest('button[data-act]')?.dataset.act;
+      if (act === 'reload') applyUpdate();
+      else if (act === 'later') bar.hidden = true;
+    });
+
+    const register = () => sw.register('./service-worker.js').then(watch).catch(() => {});
+    if (document.readyState === 'complete') register();
+    else window.addEventListener('load', register);
+
+    return { applyUpdate };
+  }
+
+  window.JukeboxOffline = { create };
+})();
@@ -0,0 +1,128 @@
+/* Catalog profiles: one per jukebox
+   - Each machine has its own data file (data.js format), songs.json, image folder and
+     title; `layout` (see slots.js) replaces the slot layout of its data file
+   - The viewer shows one machine at a time: ?machine=<id> or the picker in the header,
+     remembered on the device; without either, the first profile
+   - The first profile keeps the device's existing queue, favorites, corrections and
+     image cache; the others get their own (storageKey)
+   - tools/build-manifest.js lists every profile's files, and the service worker caches
+     each profile apart; it also reports entries skipped here (problems)
+   - Plain script in the browser (window.JukeboxProfiles), require()-able in Node
+*/
+(function (root) {
+  const inNode = typeof module === 'object' && module.exports;
+  const Catalog = inNode ? require('./catalog.js') : root.Catalog;
+
+  // The machines. images is only read by the tools (default: bilder).
+  //   { id: 'b', title: 'Seeburg', data: 'maschinen/b/data.js', songs: 'maschinen/b/songs.json',
+  //     images: 'maschinen/b/bilder', layout: { format: 'letter-digit', letters: 'ABCDEFGHJK' } }
+  const PROFILES = [
+    { id: 'wurlitzer', title: 'Wurlitzer', data: 'data.js', songs: 'songs.json', images: 'bilder' },
+  ];
+  const PARAM = 'machine';
+  const STORAGE_KEY = 'jukebox-machine';
+  const ID_RE = /^[A-Za-z0-9_-]+$/;
+
+  // Fills in defaults and drops entries without a usable, unique id.
+  // Returns { profiles, problems: [{ code, index, message }] } for the dropped ones.
+  function normalize(list){
+    const seen = new Set();
+    const out = [];
+    const problems = [];
+    (list || []).forEach((p, index) => {
+      const id = String(p?.id ?? '').trim();
+      if (!ID_RE.test(id)){
+        problems.push({ code: 'profile-id-invalid', index, message: `Profile ${index}: id "${id}" is not letters, digits, _ or -; skipped` });
+        return;
+      }
+      if (seen.has(id)){
+        problems.push({ code: 'profile-id-repeated', index, message: `Profile ${index}: id "${id}" is used twice; skipped` });
+        return;
+      }
+      seen.add(id);
+      out.push({
+        id,
+        title: String(p.title || id),
+        data: p.data || 'data.js',
+        songs: p.songs || 'songs.json',
+        images: p.images || null,
+        layout: p.layout || null,
+      });
+    });
+    return { profiles: out, problems };
+  }
+  const { profiles, problems } = normalize(PROFILES);
+
+  const list = () => profiles;
+  const find = id => profiles.find(p => p.id === id) || null;
+
+  // The machine to show: ?machine=, then the last one chosen on this device, then the first.
+  // A machine named in the URL is remembered, so the home-screen app opens it again.
+  function active(search = root.location?.search || ''){
+    const wanted = find(new URLSearchParams(search).get(PARAM));
+    if (wanted){
+      remember(wanted.id);
+      return wanted;
+    }
+    let stored = null;
+    try { stored = find(root.localStorage?.getItem(STORAGE_KEY)); } catch {}
+    return stored || profiles[0] || null;
+  }
+  function remember(id){
+    try { root.localStorage?.setItem(STORAGE_KEY, id); } catch {}
+  }
+
+  // Key (localStorage, IndexedDB, cache name) for per-machine data on the device
+  function storageKey(base, profile = active()){
+    return !profile || profile.id === profiles[0]?.id ? base : `${base}-${profile.id}`;
+  }
+
+  // This page for another machine; hash without '#', e.g. 'platz=42&side=back'.
+  // A catalog editor draft belongs to one machine, so ?draft is dropped.
+  function href(id, hash = ''){
+    const params = new URLSearchParams(root.location?.search || '');
+    params.set(PARAM, id);
+    params.delete('draft');
+    return `?${params}${hash ? `#${hash}` : ''}`;
+  }
+
+  // Reads a profile's data file without touching the page: it runs with its own `window`,
+  // like tools/check-catalog.js runs it, so several machines can be loaded side by side and
+  // the legacy `const albums = [...]` works too. Resolves with Catalog.readAlbums()'s result.
+  const loaded = new Map();
+  function loadCatalog(profile){
+    if (loaded.has(profile.id)) return loaded.get(profile.id);
+    const p = fetch(profile.data)
+      .then(r => {
+        if (!r.ok) throw new Error(`${profile.data}: HTTP ${r.status}`);
+        return r.text();
+      })
+      .then(text => {
+        const sandbox = {};
+        const read = new Function('window', 'self', `${text}
+;return {
+  catalog: window.catalog ?? (typeof catalog !== 'undefined' ? catalog : undefined),
+  albums: window.albums ?? (typeof albums !== 'undefined' ? albums : undefined),
+};`);
+        const catalog = Catalog.readAlbums(read(sandbox, sandbox));
+        if (profile.layout) catalog.layout = profile.layout;
+        return catalog;
+      });
+    loaded.set(profile.id, p);
+    p.catch(() => loaded.delete(profile.id));
+    return p;
+  }
+  // The profile's songs.json, normalized (see catalog.js)
+  function loadSongs(profile){
+    return fetch(profile.songs)
+      .then(r => {
+        if (!r.ok) throw new Error(`${profile.songs}: HTTP ${r.status}`);
+        return r.json();
+      })
+      .then(d => Catalog.readSongs(d).songs);
+  }
+
+  const JukeboxProfiles = { PARAM, problems, list, find, active, remember, storageKey, href, loadCatalog, loadSongs, normalize };
+  if (inNode) module.exports = JukeboxProfiles;
+  else root.JukeboxProfiles = JukeboxProfiles;
+})(typeof self !== 'undefined' ? self : this);
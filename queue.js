@@ -0,0 +1,243 @@
+/* Selection queue
+   - Songs and whole albums (one entry per disc) queued for the person at the machine
+   - Reorder and remove entries; big-type view of the selection codes
+   - Kept in localStorage; export/import as JSON, plain text and M3U
+   - Entries remember the album's front image and the title, so their Platz is looked
+     up again (platzOf) when the catalog or a disc assignment changes
+   - Plain script in the browser (window.JukeboxQueue); parse and the export formats are
+     require()-able in Node
+*/
+(function (root) {
+  // One queue per machine (profiles.js)
+  const STORAGE_KEY = root.JukeboxProfiles?.storageKey('jukebox-queue') ?? 'jukebox-queue';
+
+  function load(){
+    try {
+      const d = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      return Array.isArray(d?.entries) ? d.entries : [];
+    } catch {
+      return [];
+    }
+  }
+  function save(entries){
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, entries })); } catch {}
+  }
+
+  function download(name, text, type){
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Export formats; `rows` are [{ entry, slot, approx }]
+  function toText(rows){
+    return rows.map(({ entry, slot, approx }) =>
+      `${approx ? '≈' : ''}${slot ?? '?'}\t${entry.title}${entry.artist ? ` – ${entry.artist}` : ''}`).join('\n') + '\n';
+  }
+  // Locations are deep links into the viewer, so a player or browser opens the album
+  function toM3u(rows){
+    const lines = ['#EXTM3U', '#PLAYLIST:Jukebox-Warteschlange'];
+    for (const { entry, slot } of rows){
+      lines.push(`#EXTINF:-1,${entry.artist ? `${entry.artist} - ` : ''}${entry.title}`);
+      lines.push(`index.html#platz=${encodeURIComponent(slot ?? '')}&side=back`);
+    }
+    return lines.join('\n') + '\n';
+  }
+  function toJson(entries){
+    return JSON.stringify({ type: 'jukebox-queue', version: 1, entries }, null, 2) + '\n';
+  }
+
+  // "Title – Artist" in text lists, "Artist - Title" in #EXTINF lines. Titles may hold
+  // dashes themselves, so text lists split at the last " – " (the one toText writes) and
+  // #EXTINF lines at the first " - " (the one toM3u writes).
+  function lineEntry(fields, title, artist){
+    return { ...fields, type: 'song', title: title.trim(), ...(artist?.trim() ? { artist: artist.trim() } : {}) };
+  }
+
+  // Returns plain entries; text and M3U carry only code and title, so `fromSlot`
+  // (code -> album entry fields) fills in the album
+  function parse(text, fromSlot){
+    const t = String(text || '').replace(/^﻿/, '').trim();
+    if (!t) return [];
+    if (t[0] === '{' || t[0] === '['){
+      const d = JSON.parse(t);
+      const list = Array.isArray(d) ? d : d?.entries;
+      if (!Array.isArray(list)) throw new Error('Keine Einträge gefunden');
+      return list.filter(e => e && (e.title || e.slot));
+    }
+    const out = [];
+    if (/^#EXTM3U/i.test(t)){
+      let title = '';
+      for (const line of t.split(/\r?\n/).map(l => l.trim())){
+        if (/^#EXTINF:/i.test(line)) title = line.replace(/^#EXTINF:[^,]*,/i, '');
+        else if (line && !line.startsWith('#')){
+          const hash = line.includes('#') ? line.slice(line.indexOf('#') + 1) : '';
+          const slot = new URLSearchParams(hash).get('platz');
+          const cut = title.indexOf(' - ');
+          const [artist, name] = cut >= 0 ? [title.slice(0, cut), title.slice(cut + 3)] : ['', title];
+          if (slot) out.push(lineEntry(fromSlot(slot), name || slot, artist));
+          title = '';
+        }
+      }
+      return out;
+    }
+    for (const line of t.split(/\r?\n/)){
+      const m = /^\s*≈?\s*(\S+)\s*(?:\t|\s{2,}|\s[-–]\s|\s)?(.*)$/.exec(line);
+      if (!m || !m[1]) continue;
+      const cut = m[2].lastIndexOf(' – ');
+      const [title, artist] = cut >= 0 ? [m[2].slice(0, cut), m[2].slice(cut + 3)] : [m[2], ''];
+      out.push(lineEntry(fromSlot(m[1]), title || m[1], artist));
+    }
+    return out;
+  }
+
+  // opts: { platzOf(entry) -> { slot, approx }, fromSlot(code) -> entry fields | null,
+  //         onNavigate(entry), onChange(count) }
+  function create(opts){
+    const panel = document.getElementById('queue');
+    const listEl = document.getElementById('queue-list');
+    const bigEl = document.getElementById('queue-big');
+    const status = document.getElementById('queue-status');
+    const fileInput = document.getElementById('queue-file');
+    let entries = load();
+
+    const rows = () => entries.map(entry => ({ entry, ...opts.platzOf(entry) }));
+    const setStatus = msg => { if (status) status.textContent = msg; };
+
+    function changed(){
+      save(entries);
+      render();
+      opts.onChange?.(entries.length);
+    }
+
+    function render(){
+      if (!listEl) return;
+      listEl.innerHTML = '';
+      rows().forEach(({ entry, slot, approx }, k) => {
+        const li = document.createElement('li');
+        li.dataset.k = String(k);
+        const code = document.createElement('button');
+        code.type = 'button';
+        code.className = 'queue-code';
+        code.dataset.act = 'go';
+        code.title = 'Album anzeigen';
+        code.textContent = slot ? `${approx ? '≈ ' : ''}${slot}` : '?';
+        const text = document.createElement('span');
+        text.className = 'queue-title';
+        text.textContent = entry.title;
+        if (entry.artist) {
+          const by = document.createElement('span');
+          by.className = 'muted';
+          by.textContent = ` – ${entry.artist}`;
+          text.appendChild(by);
+        }
+        const tools = document.createElement('span');
+        tools.className = 'queue-tools';
+        for (const [act, label, aria, off] of [
+          ['up', '↑', 'Nach oben', k === 0],
+          ['down', '↓', 'Nach unten', k === entries.length - 1],
+          ['remove', '✕', 'Entfernen', false],
+        ]){
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.dataset.act = act;
+          b.textContent = label;
+          b.setAttribute('aria-label', aria);
+          b.disabled = off;
+          tools.appendChild(b);
+        }
+        li.append(code, text, tools);
+        listEl.appendChild(li);
+      });
+      if (!entries.length) listEl.innerHTML = '<li class="muted">Die Warteschlange ist leer.</li>';
+      if (bigEl && !bigEl.hidden) renderBig();
+    }
+
+    // Large codes for the person at the machine; tapping a code strikes it off
+    function renderBig(){
+      const body = bigEl.querySelector('.queue-big-codes');
+      body.innerHTML = '';
+      rows().forEach(({ entry, slot, approx }, k) => {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.dataset.k = String(k);
+        b.title = `${entry.title} – antippen wenn gewählt`;
+        b.textContent = slot ? `${approx ? '≈' : ''}${slot}` : '?';
+        body.appendChild(b);
+      });
+      if (!entries.length) body.textContent = 'Leer';
+    }
+
+    function add(list){
+      const added = (Array.isArray(list) ? list : [list]).filter(Boolean);
+      if (!added.length) return;
+      entries.push(...added);
+      changed();
+      setStatus(`${added.length === 1 ? `„${added[0].title}“` : `${added.length} Einträge`} hinzugefügt`);
+    }
+
+    listEl?.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-act]');
+      const li = e.target.closest('li[data-k]');
+      if (!btn || !li) return;
+      const k = Number(li.dataset.k);
+      const act = btn.dataset.act;
+      if (act === 'go'){ panel.hidden = true; opts.onNavigate?.(entries[k]); return; }
+      if (act === 'remove') entries.splice(k, 1);
+      else if (act === 'up' && k > 0) entries.splice(k - 1, 0, entries.splice(k, 1)[0]);
+      else if (act === 'down' && k < entries.length - 1) entries.splice(k + 1, 0, entries.splice(k, 1)[0]);
+      changed();
+    });
+
+    bigEl?.addEventListener('click', e => {
+      if (e.target.closest('[data-act="close"]')) { bigEl.hidden = true; return; }
+      const b = e.target.closest('button[data-k]');
+      if (!b) return;
+      entries.splice(Number(b.dataset.k), 1);
+      changed();
+    });
+
+    panel?.querySelector('.panel-bar')?.addEventListener('click', e => {
+      const act = e.target.closest('button[data-queue]')?.dataset.queue;
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (act === 'big' && bigEl){ bigEl.hidden = false; renderBig(); }
+      else if (act === 'export-json') download(`warteschlange-${stamp}.json`, toJson(entries), 'application/json');
+      else if (act === 'export-text') download(`warteschlange-${stamp}.txt`, toText(rows()), 'text/plain');
+      else if (act === 'export-m3u') download(`warteschlange-${stamp}.m3u`, toM3u(rows()), 'audio/x-mpegurl');
+      else if (act === 'import') fileInput?.click();
+      else if (act === 'clear'){
+        if (entries.length && confirm('Warteschlange leeren?')){ entries = []; changed(); }
+      } else if (act === 'close') panel.hidden = true;
+    });
+
+    fileInput?.addEventListener('change', () => {
+      const file = fileInput.files?.[0];
+      if (!file) return;
+      file.text().then(text => {
+        const list = parse(text, code => opts.fromSlot(code) || {});
+        if (!list.length) throw new Error('Keine Einträge gefunden');
+        add(list);
+      }).catch(err => setStatus(`Import fehlgeschlagen: ${err.message}`))
+        .finally(() => { fileInput.value = ''; });
+    });
+
+    render();
+    opts.onChange?.(entries.length);
+
+    return {
+      add,
+      open(){ if (panel){ render(); panel.hidden = false; } },
+      render,
+      get size(){ return entries.length; },
+    };
+  }
+
+  const JukeboxQueue = { create, parse, toText, toM3u };
+  if (typeof module === 'object' && module.exports) module.exports = JukeboxQueue;
+  else root.JukeboxQueue = JukeboxQueue;
+})(typeof self !== 'undefined' ? self : this);
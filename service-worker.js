@@ -1,38 +1,115 @@
 // service-worker.js
-const CACHE = 'jukebox-swiper-cache-v12';
-const CORE = [
-  './',
-  './index.html',
-  './app.js',
-  './data.js',
-  './songs.json',
-  './manifest.json',
-  './icons/icon-192.png',
-  './icons/icon-512.png',
-  // Optional: keep if you want Swiper offline after first visit
-  'https://unpkg.com/swiper@11/swiper-bundle.min.css',
-  'https://unpkg.com/swiper@11/swiper-bundle.min.js',
-];
+// The file list and the cache version come from asset-manifest.js (tools/build-manifest.js);
+// a changed file changes the manifest, so the browser installs this worker again.
+// Each machine (profiles.js) has its own caches for its catalog files and its images.
+importScripts('./asset-manifest.js');
+const MANIFEST = self.ASSET_MANIFEST;
+const PREFIX = 'jukebox-';
+const CACHE = `${PREFIX}core-${MANIFEST.version}`;
+// Image hashes an image cache was last checked against (stored in that cache)
+const IMAGE_HASHES = './__image-hashes';
+const CORE = ['./', ...Object.keys(MANIFEST.core), ...MANIFEST.remote];
+const PRECACHE_CONCURRENCY = 4;
+// Resized copies are named after their original (tools/build-images.js):
+// bilder/sized/1-front-480.avif -> bilder/1-front.webp
+const nameOf = key => key.replace(/^.*\//, '').replace(/\.\w+$/, '');
+// The first machine keeps the image cache from before there were several
+const MACHINES = MANIFEST.profiles.map((m, i) => ({
+  ...m,
+  cache: `${PREFIX}data-${m.id}-${m.version}`,
+  imageCache: i === 0 ? `${PREFIX}images` : `${PREFIX}images-${m.id}`,
+  imageHash: { ...m.variants, ...m.images },
+  original: new Map(Object.keys(m.images).map(k => [nameOf(k), k])),
+}));
+const FILE_MACHINE = new Map(MACHINES.flatMap(m => Object.keys(m.files).map(k => [k, m])));
+const IMAGE_MACHINE = new Map(MACHINES.flatMap(m => Object.keys(m.imageHash).map(k => [k, m])));
+// Images the manifest does not know yet go to the first machine's cache
+const machineOfImage = rel => IMAGE_MACHINE.get(rel) || MACHINES[0];
+const originalOf = (m, pathname) => m.original.get((/\/([^/]+)-\d+\.\w+$/.exec(pathname) || [])[1]);
 
+// cache: 'reload' skips the HTTP cache, so a new version never gets a stale file
+const fresh = url => new Request(url, { cache: 'reload', mode: url.startsWith('http') ? 'cors' : 'same-origin' });
+
+// No skipWaiting() here: the page asks for it (SKIP_WAITING) once the user agrees to reload.
+// Every machine's catalog files are small, so all of them are stored; images only per machine.
 self.addEventListener('install', (event) => {
-  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(CORE)));
-  self.skipWaiting();
+  event.waitUntil(Promise.all([
+    caches.open(CACHE).then(cache => cache.addAll(CORE.map(fresh))),
+    ...MACHINES.map(m => caches.open(m.cache).then(cache => cache.addAll(Object.keys(m.files).map(fresh)))),
+  ]));
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    caches.keys().then(keys => Promise.all(keys.map(k => k !== CACHE ? caches.delete(k) : Promise.resolve())))
-  );
-  self.clients.claim();
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    // Older versions, including the numbered 'jukebox-swiper-cache-vN' caches, and machines
+    // that left profiles.js
+    const keep = new Set([CACHE, ...MACHINES.flatMap(m => [m.cache, m.imageCache])]);
+    await Promise.all(keys.filter(k => k.startsWith(PREFIX) && !keep.has(k)).map(k => caches.delete(k)));
+    for (const m of MACHINES) await pruneImages(m);
+    await self.clients.claim();
+  })());
+});
+
+// Drops a machine's cached images (originals and resized copies) that changed or left its
+// catalog since the last check
+async function pruneImages(m){
+  const cache = await caches.open(m.imageCache);
+  const stored = await cache.match(IMAGE_HASHES);
+  const old = stored ? await stored.json().catch(() => ({})) : {};
+  const scope = self.registration.scope;
+  for (const req of await cache.keys()){
+    const key = `./${req.url.slice(scope.length)}`;
+    if (key === IMAGE_HASHES) continue;
+    if (!(key in m.imageHash) || (key in old && old[key] !== m.imageHash[key])) await cache.delete(req);
+  }
+  await cache.put(IMAGE_HASHES, new Response(JSON.stringify(m.imageHash), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+// Loads every image of a machine that is not cached yet; reports progress to the asking page
+async function precacheImages(client, m){
+  const cache = await caches.open(m.imageCache);
+  const urls = Object.keys(m.images);
+  let done = 0, failed = 0;
+  const post = finished => client?.postMessage({ type: 'PRECACHE_PROGRESS', done, failed, total: urls.length, finished });
+  let next = 0;
+  async function worker(){
+    while (next < urls.length){
+      const url = urls[next++];
+      try {
+        if (!(await cache.match(url))){
+          const resp = await fetch(fresh(url));
+          if (!resp.ok) throw new Error(String(resp.status));
+          await cache.put(url, resp);
+        }
+      } catch {
+        failed++;
+      }
+      done++;
+      post(false);
+    }
+  }
+  post(false);
+  await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, worker));
+  post(true);
+}
+
+self.addEventListener('message', (event) => {
+  const type = event.data?.type;
+  if (type === 'SKIP_WAITING') self.skipWaiting();
+  else if (type === 'PRECACHE_IMAGES'){
+    const m = MACHINES.find(x => x.id === event.data.machine) || MACHINES[0];
+    event.waitUntil(precacheImages(event.source, m));
+  }
 });
 
 // Helpers
-async function cacheFirst(req) {
-  const cache = await caches.open(CACHE);
+async function cacheFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
   const hit = await cache.match(req);
   if (hit) return hit;
   const resp = await fetch(req, { mode: 'cors' });
-  cache.put(req, resp.clone());
+  if (resp.ok) cache.put(req, resp.clone());
   return resp;
 }
 async function networkFirst(req) {
@@ -46,6 +123,30 @@ async function networkFirst(req) {
     return cached || (req.mode === 'navigate' ? caches.match('./index.html') : Response.error());
   }
 }
+// Offline, a resized copy that was never cached falls back to its original, which
+// "Offline speichern" has stored
+async function imageFirst(req, m) {
+  try {
+    return await cacheFirst(req, m.imageCache);
+  } catch (e) {
+    const original = originalOf(m, new URL(req.url).pathname);
+    const hit = original && await caches.match(original);
+    if (hit) return hit;
+    throw e;
+  }
+}
+// The shell is versioned, so it is served from the cache; pages match without ?query/#hash
+async function fromShell(req) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(req, { ignoreSearch: req.mode === 'navigate' });
+  return hit || networkFirst(req);
+}
+// A machine's data file and songs.json, versioned like the shell
+async function fromMachine(req, m) {
+  const cache = await caches.open(m.cache);
+  const hit = await cache.match(req);
+  return hit || networkFirst(req);
+}
 
 self.addEventListener('fetch', (event) => {
   const req = event.request;
@@ -55,10 +156,22 @@ self.addEventListener('fetch', (event) => {
   const allowed = [self.location.origin, 'https://unpkg.com'];
   if (url.protocol !== 'http:' && url.protocol !== 'https:') return;      // ignore chrome-extension:, data:, etc.
   if (!allowed.includes(url.origin)) return;                               // ignore other cross-origins
+  if (req.method !== 'GET') return;
+
+  // App shell and CDN files from the manifest: cache-first in this version's cache
+  const rel = url.origin === self.location.origin ? `./${url.href.slice(self.registration.scope.length).split(/[?#]/)[0]}` : url.href;
+  if (req.mode === 'navigate' || rel === './' || rel in MANIFEST.core || MANIFEST.remote.includes(url.href)) {
+    event.respondWith(fromShell(req));
+    return;
+  }
+  if (FILE_MACHINE.has(rel)) {
+    event.respondWith(fromMachine(req, FILE_MACHINE.get(rel)));
+    return;
+  }
 
-  // Images from our origin: cache-first
+  // Images from our origin: cache-first, in their machine's cache
   if (url.origin === self.location.origin && /\.(png|jpe?g|webp|gif|avif)$/i.test(url.pathname)) {
-    event.respondWith(cacheFirst(req));
+    event.respondWith(imageFirst(req, machineOfImage(rel)));
     return;
   }
 
@@ -0,0 +1,115 @@
+/* Slot layout
+   - Maps albums to selection positions ("Platz") from config instead of 1..100
+   - Code formats: 'number' (1, 2, 3 …) or 'letter-digit' (A1 … K0 like a Wurlitzer selector)
+   - Gaps: empty or broken positions that are never assigned
+   - Albums take one position per disc; an explicit `slot` pins where an album starts
+   - Plain script in the browser (window.SlotLayout), require()-able in Node
+
+   Config (window.catalog.layout in data.js, all fields optional):
+     { format: 'number', start: 1, capacity: 100, gaps: [17, 18] }
+     { format: 'letter-digit', letters: 'ABCDEFGHJK', digits: '1234567890', gaps: ['C4'] }
+*/
+(function (root) {
+  const DEFAULTS = {
+    number: { start: 1, capacity: 100 },
+    'letter-digit': { letters: 'ABCDEFGHJK', digits: '1234567890' },
+  };
+  // Pages draw and list every position, so a typo like 1e9 must not reach them
+  const MAX_CAPACITY = 10000;
+
+  function create(config = {}){
+    const format = config.format === 'letter-digit' ? 'letter-digit' : 'number';
+    const opts = { ...DEFAULTS[format], ...config, format };
+    const letters = String(opts.letters || '').toUpperCase();
+    const digits = String(opts.digits || '');
+    const start = Number.isFinite(Number(opts.start)) ? Number(opts.start) : 1;
+    const max = format === 'letter-digit' ? letters.length * digits.length : MAX_CAPACITY;
+    const problems = [];
+    let capacity = Math.min(max, DEFAULTS[format].capacity ?? max);
+    if (opts.capacity != null){
+      const n = Number(opts.capacity);
+      if (Number.isInteger(n) && n >= 1 && n <= MAX_CAPACITY) capacity = Math.min(max, n);
+      else problems.push({ code: 'capacity-invalid', albumIndex: -1, message: `Layout: capacity ${opts.capacity} is not a whole number from 1 to ${MAX_CAPACITY}; using ${capacity}` });
+    }
+
+    // Position (0-based ordinal) -> selection code
+    function code(pos){
+      if (!(pos >= 0 && pos < capacity)) return null;
+      if (format === 'number') return String(start + pos);
+      return letters[Math.floor(pos / digits.length)] + digits[pos % digits.length];
+    }
+    // Selection code (any case, spaces ignored) -> position, or -1
+    function parse(text){
+      const t = String(text ?? '').replace(/\s+/g, '').toUpperCase();
+      let pos = -1;
+      if (format === 'number'){
+        if (/^\d+$/.test(t)) pos = parseInt(t, 10) - start;
+      } else if (t.length === 2){
+        const l = letters.indexOf(t[0]), d = digits.indexOf(t[1]);
+        if (l >= 0 && d >= 0) pos = l * digits.length + d;
+      }
+      return pos >= 0 && pos < capacity ? pos : -1;
+    }
+
+    const gaps = new Set();
+    for (const g of opts.gaps || []){
+      const pos = parse(g);
+      if (pos >= 0) gaps.add(pos);
+    }
+
+    return { format, capacity, code, parse, isGap: pos => gaps.has(pos), gaps: [...gaps].sort((a, b) => a - b), problems };
+  }
+
+  // albums: normalized albums ({ discs, slot? }). Returns where each album sits:
+  //   albumSlots[i]  positions of album i, one per disc ([] when it does not fit)
+  //   slotToAlbum    Map selection code -> album index
+  //   problems       [{ code, albumIndex, message }] for unplaced or conflicting albums,
+  //                  after the layout's own (albumIndex -1)
+  function assign(albums, layout){
+    const taken = new Array(layout.capacity).fill(-1);
+    const albumSlots = [];
+    const problems = [...(layout.problems || [])];
+    const free = pos => pos < layout.capacity && !layout.isGap(pos) && taken[pos] < 0;
+    let next = 0;
+    (albums || []).forEach((a, i) => {
+      const discs = Math.max(1, parseInt(a?.discs, 10) || 1);
+      let pos = next;
+      if (a?.slot != null && a.slot !== ''){
+        pos = layout.parse(a.slot);
+        if (pos < 0){
+          problems.push({ code: 'slot-invalid', albumIndex: i, message: `Album ${i}: slot "${a.slot}" is not a valid selection code` });
+          pos = next;
+        } else if (!free(pos)){
+          problems.push({ code: 'slot-conflict', albumIndex: i, message: `Album ${i}: slot ${layout.code(pos)} is ${layout.isGap(pos) ? 'a gap' : `taken by album ${taken[pos]}`}` });
+        }
+      }
+      const mine = [];
+      for (; pos < layout.capacity && mine.length < discs; pos++){
+        if (free(pos)) mine.push(pos);
+      }
+      if (mine.length < discs){
+        problems.push({ code: 'slot-overflow', albumIndex: i, message: `Album ${i} needs ${discs} position${discs > 1 ? 's' : ''} but only ${mine.length} remain after its start within ${layout.capacity}` });
+      }
+      mine.forEach(p => { taken[p] = i; });
+      albumSlots.push(mine);
+      if (mine.length) next = mine[mine.length - 1] + 1;
+    });
+
+    const slotToAlbum = new Map();
+    taken.forEach((i, pos) => { if (i >= 0) slotToAlbum.set(layout.code(pos), i); });
+    return { albumSlots, slotToAlbum, problems };
+  }
+
+  // "12", "12–13" for adjacent positions, "C3, C5" across a gap
+  function rangeLabel(layout, positions){
+    if (!positions || !positions.length) return '–';
+    const contiguous = positions.every((p, k) => !k || p === positions[k-1] + 1);
+    if (positions.length === 1) return layout.code(positions[0]);
+    if (contiguous) return `${layout.code(positions[0])}–${layout.code(positions[positions.length - 1])}`;
+    return positions.map(layout.code).join(', ');
+  }
+
+  const SlotLayout = { create, assign, rangeLabel };
+  if (typeof module === 'object' && module.exports) module.exports = SlotLayout;
+  else root.SlotLayout = SlotLayout;
+})(typeof self !== 'undefined' ? self : this);
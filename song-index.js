@@ -0,0 +1,169 @@
+/* Song search index
+   - Built once when songs.json has loaded; queries never re-normalize the catalog
+   - Token postings + trigram index over the token vocabulary
+   - Prefix matches for search-as-you-type, edit distance for typos and OCR errors
+   - Plain script in the browser (window.SongIndex), require()-able in Node
+*/
+(function (root) {
+  function norm(s){
+    return String(s || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/\p{Diacritic}/gu, '')
+      .replace(/[^a-z0-9 ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  const ARTIST_WEIGHT = 0.9;
+
+  // Typos allowed per token length: short words must match exactly
+  function maxEdits(len){
+    return len <= 3 ? 0 : len <= 7 ? 1 : 2;
+  }
+
+  // Optimal string alignment distance (Levenshtein + adjacent swaps).
+  // Gives up early and returns max+1 once the distance exceeds `max`.
+  function editDistance(a, b, max = Infinity){
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++){
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++){
+        const cost = a[i-1] === b[j-1] ? 0 : 1;
+        let v = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i-1] === b[j-2] && a[i-2] === b[j-1]) v = Math.min(v, prev2[j-2] + 1);
+        cur[j] = v;
+        if (v < rowMin) rowMin = v;
+      }
+      if (rowMin > max) return max + 1;
+      prev2 = prev; prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  function trigrams(token){
+    const p = ` ${token} `;
+    const out = new Set();
+    for (let i = 0; i + 3 <= p.length; i++) out.add(p.slice(i, i + 3));
+    return out;
+  }
+
+  function tokenize(n){
+    return n ? [...new Set(n.split(' '))] : [];
+  }
+
+  // entries: [{ n, artist?, ... }] as normalized by catalog.js; `n` may still be raw text
+  function build(entries){
+    const docs = [];
+    const postings = new Map(); // token -> [doc ids], title and artist tokens alike
+    const grams = new Map();    // trigram -> [tokens]
+    (entries || []).forEach((entry, id) => {
+      const n = norm(entry?.n);
+      const tokens = tokenize(n);
+      const artistTokens = tokenize(norm(entry?.artist));
+      docs.push({ id, entry, n, tokens, artistTokens });
+      for (const t of new Set([...tokens, ...artistTokens])){
+        let list = postings.get(t);
+        if (!list){
+          list = [];
+          postings.set(t, list);
+          for (const g of trigrams(t)){
+            if (!grams.has(g)) grams.set(g, []);
+            grams.get(g).push(t);
+          }
+        }
+        list.push(id);
+      }
+    });
+    const vocab = [...postings.keys()].sort();
+    return { docs, postings, grams, vocab };
+  }
+
+  // All vocabulary tokens starting with `prefix` (vocab is sorted)
+  function prefixTokens(index, prefix){
+    const { vocab } = index;
+    let lo = 0, hi = vocab.length;
+    while (lo < hi){ const mid = (lo + hi) >> 1; if (vocab[mid] < prefix) lo = mid + 1; else hi = mid; }
+    const out = [];
+    for (let i = lo; i < vocab.length && vocab[i].startsWith(prefix); i++) out.push(vocab[i]);
+    return out;
+  }
+
+  // Weight (0..1] of every vocabulary token that can stand for query token `q`
+  function matchToken(index, q){
+    const out = new Map();
+    const put = (t, w) => { if (w > (out.get(t) || 0)) out.set(t, w); };
+    if (index.postings.has(q)) put(q, 1);
+    for (const t of prefixTokens(index, q)) if (t !== q) put(t, 0.6 + 0.3 * q.length / t.length);
+
+    const max = maxEdits(q.length);
+    if (q.length < 3) return out;
+    // Candidates share enough trigrams with q (q-gram lemma: one edit breaks at most 3)
+    const qg = trigrams(q);
+    const shared = new Map();
+    for (const g of qg) for (const t of index.grams.get(g) || []) shared.set(t, (shared.get(t) || 0) + 1);
+    const need = Math.max(1, qg.size - 3 * Math.max(1, max));
+    for (const [t, count] of shared){
+      if (count < need || out.get(t) === 1) continue;
+      if (q.length >= 4 && t.includes(q)) put(t, 0.6);
+      if (!max) continue;
+      const d = editDistance(q, t, max);
+      if (d <= max) put(t, 0.9 - 0.15 * d);
+      // Typo in a word that is still being typed: compare against the token's prefix
+      else if (t.length > q.length){
+        const dp = editDistance(q, t.slice(0, q.length), max);
+        if (dp <= max) put(t, 0.55 - 0.1 * dp);
+      }
+    }
+    return out;
+  }
+
+  // Composite score on the same scale as the original fuzzyScore:
+  // 3 for an exact title, otherwise weighted token overlap (0..1)
+  // + up to 1 for (fuzzy) substring coverage + 0.25 prefix bonus.
+  // Query tokens may also match the artist ("ambros schifoan"); those count
+  // slightly less and do not widen the title's token union.
+  function search(index, query, opts = {}){
+    const q = norm(query);
+    if (!q || !index) return [];
+    const minScore = opts.minScore ?? 0.15;
+    const qTokens = [...new Set(q.split(' '))];
+    const matches = qTokens.map(t => matchToken(index, t));
+
+    const candidates = new Set();
+    for (const m of matches) for (const t of m.keys()) for (const id of index.postings.get(t)) candidates.add(id);
+
+    const out = [];
+    for (const id of candidates){
+      const doc = index.docs[id];
+      let score;
+      if (doc.n === q) score = 3;
+      else {
+        let sum = 0, matched = 0, inTitle = 0;
+        matches.forEach(m => {
+          let best = 0, byArtist = 0;
+          for (const t of doc.tokens){ const w = m.get(t) || 0; if (w > best) best = w; }
+          for (const t of doc.artistTokens){ const w = (m.get(t) || 0) * ARTIST_WEIGHT; if (w > byArtist) byArtist = w; }
+          if (best >= byArtist && best > 0){ sum += best; matched++; inTitle++; }
+          else if (byArtist > 0){ sum += byArtist; matched++; }
+        });
+        const union = qTokens.length + doc.tokens.length - inTitle || 1;
+        score = sum / union;
+        if (doc.n && (doc.n.includes(q) || q.includes(doc.n))) score += 1;
+        else if (matched === qTokens.length) score += sum / qTokens.length * 0.75;
+        if (doc.n.startsWith(q)) score += 0.25;
+      }
+      if (score > minScore) out.push({ song: doc.entry, score });
+    }
+    out.sort((a, b) => b.score - a.score || a.song.n.length - b.song.n.length);
+    return opts.limit ? out.slice(0, opts.limit) : out;
+  }
+
+  const SongIndex = { norm, editDistance, build, search };
+  if (typeof module === 'object' && module.exports) module.exports = SongIndex;
+  else root.SongIndex = SongIndex;
+})(typeof self !== 'undefined' ? self : this);
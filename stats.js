@@ -0,0 +1,188 @@
+/* Favorites and selection statistics
+   - Logs which albums are viewed, flipped, jumped to and searched for (IndexedDB, on the device)
+   - Favorite albums and songs
+   - Views: most selected, recently viewed, favorites; raw export as JSON
+   - Albums are keyed by their front image, songs by front image + normalized title,
+     so the data survives catalog reordering
+   - Without IndexedDB (private mode, old browsers) nothing is logged and favorites last
+     for the session only
+*/
+(() => {
+  // One database per machine (profiles.js)
+  const DB_NAME = window.JukeboxProfiles?.storageKey('jukebox-stats') ?? 'jukebox-stats';
+  const DB_VERSION = 1;
+  const EVENTS = 'events';        // { id, type, time, front, slot, query? }
+  const FAVORITES = 'favorites';  // { key, type, front, n?, title, time }
+  const TYPES = ['view', 'flip', 'jump', 'search'];
+  // "Most selected" counts deliberate actions; passing views while swiping do not count
+  const SELECT_TYPES = ['flip', 'jump', 'search'];
+  const LIST_LIMIT = 30;
+
+  let dbPromise = null;
+  function db(){
+    if (!dbPromise) dbPromise = new Promise((resolve, reject) => {
+      if (!self.indexedDB) { reject(new Error('IndexedDB not available')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const d = req.result;
+        if (!d.objectStoreNames.contains(EVENTS)) d.createObjectStore(EVENTS, { keyPath: 'id', autoIncrement: true }).createIndex('time', 'time');
+        if (!d.objectStoreNames.contains(FAVORITES)) d.createObjectStore(FAVORITES, { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return dbPromise;
+  }
+  // Runs fn(store) in a transaction; resolves with the request's result
+  function tx(name, mode, fn){
+    return db().then(d => new Promise((resolve, reject) => {
+      const t = d.transaction(name, mode);
+      const req = fn(t.objectStore(name));
+      t.oncomplete = () => resolve(req?.result);
+      t.onerror = () => reject(t.error);
+    }));
+  }
+
+  const albumKey = front => `album|${front}`;
+  const songKey = (front, n) => `song|${front}|${n}`;
+
+  // events -> [{ front, count, last }] by number of deliberate selections
+  function mostSelected(events){
+    const byFront = new Map();
+    for (const e of events){
+      if (!SELECT_TYPES.includes(e.type) || !e.front) continue;
+      const r = byFront.get(e.front) || { front: e.front, count: 0, last: 0 };
+      r.count++;
+      r.last = Math.max(r.last, e.time);
+      byFront.set(e.front, r);
+    }
+    return [...byFront.values()].sort((a, b) => b.count - a.count || b.last - a.last);
+  }
+  // events -> [{ front, last }] newest first, each album once
+  function recentlyViewed(events){
+    const last = new Map();
+    for (const e of events){
+      if (e.front && e.time >= (last.get(e.front) || 0)) last.set(e.front, e.time);
+    }
+    return [...last.entries()].map(([front, t]) => ({ front, last: t })).sort((a, b) => b.last - a.last);
+  }
+
+  function download(name, text){
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // opts: { describe(item) -> { label, platz } | null, onNavigate(item), onChange() }
+  //   item: { type: 'album' | 'song', front, n? }
+  function create(opts){
+    const panel = document.getElementById('stats');
+    const listEl = document.getElementById('stats-list');
+    const status = document.getElementById('stats-status');
+    const favorites = new Map(); // key -> record, mirrored from IndexedDB
+    let view = 'selected';
+    const setStatus = msg => { if (status) status.textContent = msg; };
+
+    const ready = tx(FAVORITES, 'readonly', s => s.getAll())
+      .then(list => { (list || []).forEach(f => favorites.set(f.key, f)); opts.onChange?.(); })
+      .catch(() => {});
+
+    function log(type, data){
+      if (!TYPES.includes(type) || !data?.front) return;
+      const event = { type, time: Date.now(), front: data.front, slot: data.slot ?? null };
+      if (data.query) event.query = data.query;
+      tx(EVENTS, 'readwrite', s => s.add(event)).catch(() => {});
+    }
+
+    function isFavorite(item){
+      return favorites.has(item.type === 'song' ? songKey(item.front, item.n) : albumKey(item.front));
+    }
+    function toggleFavorite(item){
+      const key = item.type === 'song' ? songKey(item.front, item.n) : albumKey(item.front);
+      const on = !favorites.has(key);
+      if (on) favorites.set(key, { key, type: item.type, front: item.front, ...(item.n ? { n: item.n } : {}), title: item.title || '', time: Date.now() });
+      else favorites.delete(key);
+      tx(FAVORITES, 'readwrite', s => (on ? s.put(favorites.get(key)) : s.delete(key))).catch(() => {});
+      opts.onChange?.();
+      if (panel && !panel.hidden) render();
+      return on;
+    }
+
+    const allEvents = () => tx(EVENTS, 'readonly', s => s.getAll()).then(l => l || []).catch(() => []);
+
+    function item(entry, text, extra){
+      const d = opts.describe(entry);
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'stats-item';
+      btn.disabled = !d;
+      btn.dataset.front = entry.front;
+      if (entry.n) btn.dataset.n = entry.n;
+      const code = document.createElement('span');
+      code.className = 'stats-platz';
+      code.textContent = d ? d.platz : '–';
+      const label = document.createElement('span');
+      label.className = 'stats-label';
+      label.textContent = text || d?.label || entry.front;
+      const info = document.createElement('span');
+      info.className = 'muted';
+      info.textContent = extra;
+      btn.append(code, label, info);
+      li.appendChild(btn);
+      return li;
+    }
+    const when = t => new Date(t).toLocaleString('de-AT', { dateStyle: 'short', timeStyle: 'short' });
+
+    function render(){
+      if (!listEl) return;
+      panel.querySelectorAll('[data-stats-view]').forEach(b => b.setAttribute('aria-pressed', String(b.dataset.statsView === view)));
+      if (view === 'favorites'){
+        const favs = [...favorites.values()].sort((a, b) => b.time - a.time);
+        listEl.innerHTML = '';
+        favs.forEach(f => listEl.appendChild(item(f, f.type === 'song' ? f.title : '', f.type === 'song' ? 'Titel' : 'Album')));
+        if (!favs.length) listEl.innerHTML = '<li class="muted">Noch keine Favoriten – ☆ beim Platz oder bei der Auswahl antippen.</li>';
+        return;
+      }
+      allEvents().then(events => {
+        const rows = (view === 'recent' ? recentlyViewed(events) : mostSelected(events)).slice(0, LIST_LIMIT);
+        listEl.innerHTML = '';
+        rows.forEach(r => listEl.appendChild(item(r, '', view === 'recent' ? when(r.last) : `${r.count}×`)));
+        if (!rows.length) listEl.innerHTML = '<li class="muted">Noch keine Daten.</li>';
+        setStatus(`${events.length} Ereignisse`);
+      });
+    }
+
+    listEl?.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-front]');
+      if (!btn) return;
+      panel.hidden = true;
+      opts.onNavigate?.({ type: btn.dataset.n ? 'song' : 'album', front: btn.dataset.front, n: btn.dataset.n });
+    });
+    panel?.querySelector('.panel-bar')?.addEventListener('click', e => {
+      const b = e.target.closest('button');
+      if (!b) return;
+      if (b.dataset.statsView){ view = b.dataset.statsView; render(); }
+      else if (b.dataset.stats === 'export'){
+        Promise.all([allEvents(), ready]).then(([events]) => {
+          const data = { type: 'jukebox-stats', version: 1, exported: new Date().toISOString(), events, favorites: [...favorites.values()] };
+          download(`jukebox-statistik-${data.exported.slice(0, 10)}.json`, JSON.stringify(data, null, 2) + '\n');
+        });
+      } else if (b.dataset.stats === 'clear'){
+        if (confirm('Statistik löschen? Favoriten bleiben erhalten.')) tx(EVENTS, 'readwrite', s => s.clear()).catch(() => {}).then(render);
+      } else if (b.dataset.stats === 'close') panel.hidden = true;
+    });
+
+    return {
+      log, isFavorite, toggleFavorite,
+      open(){ if (panel){ panel.hidden = false; render(); } },
+    };
+  }
+
+  window.JukeboxStats = { create, mostSelected, recentlyViewed };
+})();
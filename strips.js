@@ -0,0 +1,197 @@
+/* Title strips (strips.html)
+   - One strip (code, A/B titles, artist) or a full selection card per Platz, for printing
+   - Same slot assignment as the viewer (slots.js); songs per disc, disc corrections included
+   - Strip size, font, columns and the number of titles are configurable and remembered;
+     sizes are in millimetres so the print matches the machine's holders
+   - strips.html?draft prints the catalog editor's draft; otherwise the machine chosen in
+     the viewer (profiles.js), or ?machine=
+*/
+(async () => {
+  const SETTINGS_KEY = 'jukebox-strips';
+  const MODES = {
+    strip: { width: 76, height: 25, titles: 2 },
+    card: { width: 90, height: 120, titles: 0 },
+  };
+  const DEFAULTS = { mode: 'strip', ...MODES.strip, columns: 2, font: 'sans', fontSize: 9, band: '#b03a2e', from: '', to: '', empty: false };
+  const FONTS = {
+    sans: 'Helvetica, Arial, sans-serif',
+    condensed: '"Arial Narrow", "Roboto Condensed", Helvetica, sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+    mono: '"Courier New", Courier, monospace',
+  };
+  const { Catalog, SlotLayout, JukeboxProfiles: Profiles } = window;
+
+  function loadSettings(){
+    try { return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') }; }
+    catch { return { ...DEFAULTS }; }
+  }
+  function saveSettings(s){
+    try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(s)); } catch {}
+  }
+
+  const params = new URLSearchParams(location.search);
+  const draft = params.has('draft') ? window.CatalogEditor?.loadDraft() : null;
+  const machine = Profiles.active();
+  const sheet = document.getElementById('sheet');
+  const form = document.getElementById('strip-settings');
+  const status = document.getElementById('strip-status');
+  const catalog = draft || (machine && await Profiles.loadCatalog(machine).catch(() => null));
+  if (!catalog){
+    status.textContent = 'Katalog nicht gefunden';
+    return;
+  }
+  const { albums, layout: layoutConfig } = catalog;
+  const layout = SlotLayout.create(layoutConfig);
+  const { albumSlots } = SlotLayout.assign(albums, layout);
+  let songs = [];
+  let songsFailed = false;
+  let settings = loadSettings();
+
+  // Platz -> { code, album, disc, discs, songs } for every position (albums and empty ones)
+  function positions(){
+    const byPos = new Map();
+    albumSlots.forEach((list, i) => list.forEach((pos, k) => byPos.set(pos, { albumIndex: i, disc: k + 1 })));
+    const out = [];
+    for (let pos = 0; pos < layout.capacity; pos++){
+      const hit = byPos.get(pos);
+      const code = layout.code(pos);
+      if (!hit){ out.push({ pos, code, album: null, gap: layout.isGap(pos), songs: [] }); continue; }
+      const album = albums[hit.albumIndex];
+      const discs = albumSlots[hit.albumIndex].length;
+      // Songs without a (valid) disc go on the album's first Platz
+      const mine = songs.filter(s => s.albumIndex === hit.albumIndex && (discs < 2
+        || s.disc === hit.disc || (hit.disc === 1 && !(s.disc >= 1 && s.disc <= discs))));
+      const ordered = mine.every(s => s.track != null)
+        ? [...mine].sort((a, b) => (a.disc ?? 0) - (b.disc ?? 0) || (a.side || '').localeCompare(b.side || '') || a.track - b.track)
+        : mine;
+      out.push({ pos, code, album, disc: hit.disc, discs, songs: ordered });
+    }
+    return out;
+  }
+
+  // Strip titles: the first title of side A and of side B where sides are known
+  function stripTitles(p, count){
+    const sides = [...new Set(p.songs.map(s => s.side).filter(Boolean))];
+    if (count === 2 && sides.length >= 2){
+      return sides.slice(0, 2).map(side => p.songs.find(s => s.side === side));
+    }
+    return p.songs.slice(0, count);
+  }
+
+  // "Artist · Disc 2" on multi-disc albums
+  function withDisc(label, p){
+    return [label, p.discs > 1 ? `Disc ${p.disc}` : ''].filter(Boolean).join(' · ');
+  }
+
+  function el(tag, cls, text){
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function renderStrip(p){
+    const strip = el('div', 'strip');
+    strip.appendChild(el('div', 'strip-code', p.code));
+    const body = el('div', 'strip-body');
+    if (p.album){
+      const titles = stripTitles(p, Math.max(1, settings.titles));
+      const [first, ...rest] = titles;
+      body.appendChild(el('div', 'strip-title', first?.title || ''));
+      body.appendChild(el('div', 'strip-band', withDisc(p.album.artist || p.album.title, p)));
+      for (const s of rest) body.appendChild(el('div', 'strip-title', s.title));
+    } else if (p.gap) {
+      strip.classList.add('is-empty');
+    }
+    strip.appendChild(body);
+    return strip;
+  }
+
+  function renderCard(p){
+    const card = el('div', 'card');
+    const head = el('div', 'card-head');
+    head.appendChild(el('span', 'strip-code', p.code));
+    const label = p.album ? Catalog.albumLabel(p.album) : '';
+    head.appendChild(el('span', 'card-label', withDisc(label, p)));
+    card.appendChild(head);
+    const list = el('ol', 'card-tracks');
+    const limit = settings.titles > 0 ? settings.titles : Infinity;
+    p.songs.slice(0, limit).forEach(s => {
+      const li = el('li');
+      const track = Catalog.trackLabel(s);
+      if (track) li.appendChild(el('span', 'card-pos', track));
+      li.append(s.title);
+      list.appendChild(li);
+    });
+    card.appendChild(list);
+    return card;
+  }
+
+  function render(){
+    const s = settings;
+    const from = s.from ? layout.parse(s.from) : 0;
+    const to = s.to ? layout.parse(s.to) : layout.capacity - 1;
+    const list = positions().filter(p => p.pos >= from && (to < 0 || p.pos <= to) && (p.album || s.empty));
+    sheet.style.setProperty('--w', `${s.width}mm`);
+    sheet.style.setProperty('--h', `${s.height}mm`);
+    sheet.style.setProperty('--cols', String(Math.max(1, s.columns)));
+    sheet.style.setProperty('--font', FONTS[s.font] || FONTS.sans);
+    sheet.style.setProperty('--size', `${s.fontSize}pt`);
+    sheet.style.setProperty('--band', s.band);
+    sheet.dataset.mode = s.mode;
+    sheet.innerHTML = '';
+    list.forEach(p => sheet.appendChild(s.mode === 'card' ? renderCard(p) : renderStrip(p)));
+    const bad = (s.from && from < 0) || (s.to && to < 0);
+    status.textContent = bad ? 'Ungültiger Platz im Bereich'
+      : `${list.length} ${s.mode === 'card' ? 'Karten' : 'Streifen'}${songsFailed ? ' – songs.json konnte nicht geladen werden' : ''}`;
+  }
+
+  function readForm(){
+    const f = form.elements;
+    const num = (name, min) => Math.max(min, Number(f[name].value) || DEFAULTS[name]);
+    const mode = f.mode.value in MODES ? f.mode.value : 'strip';
+    if (mode !== settings.mode){
+      // Switching mode loads that mode's size
+      settings = { ...settings, mode, ...MODES[mode] };
+      fillForm();
+      return;
+    }
+    settings = {
+      mode,
+      width: num('width', 10), height: num('height', 5), columns: num('columns', 1),
+      titles: Math.max(0, Number(f.titles.value) || 0),
+      font: f.font.value, fontSize: num('fontSize', 4), band: f.band.value,
+      from: f.from.value.trim(), to: f.to.value.trim(), empty: f.empty.checked,
+    };
+  }
+  function fillForm(){
+    const f = form.elements;
+    for (const [k, v] of Object.entries(settings)){
+      if (!f[k]) continue;
+      if (f[k].type === 'checkbox') f[k].checked = Boolean(v);
+      else f[k].value = v;
+    }
+  }
+
+  form.addEventListener('input', () => { readForm(); saveSettings(settings); render(); });
+  form.addEventListener('submit', e => e.preventDefault());
+  document.getElementById('strip-print').addEventListener('click', () => window.print());
+  document.getElementById('strip-reset').addEventListener('click', () => {
+    settings = { ...DEFAULTS };
+    saveSettings(settings);
+    fillForm();
+    render();
+  });
+  if (layout.format !== 'number') form.elements.from.inputMode = form.elements.to.inputMode = 'text';
+
+  fillForm();
+  (draft ? Promise.resolve(Catalog.readSongs({ songs: draft.songs }).songs) : Profiles.loadSongs(machine))
+    .then(list => {
+      songs = list;
+      window.DiscResolver?.applyOverrides(songs, albums);
+    })
+    .catch(() => { songs = []; songsFailed = true; })
+    .then(render);
+  if (!draft && Profiles.list().length > 1) document.title = `${machine.title} – ${document.title}`;
+  if (draft) document.title = `Entwurf – ${document.title}`;
+})();
@@ -0,0 +1,220 @@
+/* Second screen (index.html?sync=display / ?sync=controller&code=4711)
+   - A controller (phone) sends what it shows; a display (TV, tablet) follows it
+   - Windows on the same device talk over a BroadcastChannel; other devices in the local
+     network through tools/sync-relay.js (WebSocket, no internet needed)
+   - The display gets a 4-digit pairing code, shown large until a controller is there;
+     the controller joins with that code
+   - Messages are plain objects ({ type: 'view' | 'zoom' | 'select' | 'highlight' | 'hello', … });
+     what they mean is up to app.js
+   - The last settings are kept in localStorage
+*/
+(() => {
+  const CHANNEL_PREFIX = 'jukebox-sync-';
+  const RECONNECT_MS = [1000, 2000, 5000, 10000]; // then every 10 s
+  const CODE_RE = /^\d{4}$/;
+  const STORAGE_KEY = 'jukebox-sync';
+  const ERRORS = {
+    'unknown-code': 'Keine Anzeige mit diesem Code',
+    'code-required': 'Bitte den Code der Anzeige eingeben',
+    'bad-role': 'Unbekannte Rolle',
+    full: 'Der Relay-Server ist voll',
+  };
+
+  const randomCode = () => String(Math.floor(Math.random() * 10000)).padStart(4, '0');
+
+  // "host:8765" or a full ws:// URL; "1"/"auto" means the host that served the page (the relay does)
+  function relayUrl(relay){
+    if (!relay) return '';
+    if (relay === '1' || relay === 'auto') return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/sync`;
+    const url = /^wss?:\/\//.test(relay) ? relay : `ws://${relay}`;
+    return /^wss?:\/\/[^/]+\/?$/.test(url) ? `${url.replace(/\/$/, '')}/sync` : url;
+  }
+
+  // Same device: every window with the same code shares one channel
+  function localTransport(code, t){
+    if (!('BroadcastChannel' in window)) throw new Error('BroadcastChannel fehlt in diesem Browser');
+    const channel = new BroadcastChannel(CHANNEL_PREFIX + code);
+    channel.onmessage = e => t.onMessage(e.data);
+    setTimeout(() => t.onStatus({ state: 'connected', code }), 0);
+    return { send: msg => channel.postMessage(msg), close: () => channel.close() };
+  }
+
+  // Local network: the relay pairs sockets by code and forwards { type: 'msg', data }
+  function relayTransport(url, role, code, t){
+    let ws = null, closed = false, attempt = 0, timer = 0;
+    let current = code;
+    function connect(){
+      t.onStatus({ state: 'connecting', code: current });
+      ws = new WebSocket(url);
+      ws.onopen = () => ws.send(JSON.stringify({ type: 'join', role, code: current || undefined }));
+      ws.onmessage = e => {
+        let m;
+        try { m = JSON.parse(e.data); } catch { return; }
+        if (m.type === 'joined'){
+          attempt = 0;
+          current = m.code;
+          t.onStatus({ state: 'connected', code: current, peers: m.peers });
+        } else if (m.type === 'peers') {
+          t.onStatus({ state: 'connected', code: current, peers: m.peers });
+        } else if (m.type === 'error') {
+          // A wrong code does not get better by retrying
+          closed = true;
+          t.onStatus({ state: 'error', code: current, error: m.error });
+          ws.close();
+        } else if (m.type === 'msg') {
+          t.onMessage(m.data);
+        }
+      };
+      ws.onclose = () => {
+        if (closed) return;
+        t.onStatus({ state: 'connecting', code: current });
+        timer = setTimeout(connect, RECONNECT_MS[Math.min(attempt++, RECONNECT_MS.length - 1)]);
+      };
+    }
+    connect();
+    return {
+      send(msg){ if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'msg', data: msg })); },
+      close(){ closed = true; clearTimeout(timer); ws?.close(); },
+    };
+  }
+
+  // opts: { role: 'controller' | 'display', code, relay (see relayUrl; '' = this device only),
+  //         onMessage(msg), onStatus({ state: 'connecting' | 'connected' | 'error' | 'closed', code, peers?, error? }) }
+  // A display without a code gets a new one (from the relay, or made up locally)
+  function connect(opts){
+    const role = opts.role === 'display' ? 'display' : 'controller';
+    let code = CODE_RE.test(String(opts.code ?? '')) ? String(opts.code) : '';
+    const url = relayUrl(opts.relay);
+    let state = 'connecting';
+    const hooks = {
+      onMessage: msg => { if (msg && typeof msg === 'object') opts.onMessage?.(msg); },
+      onStatus: s => {
+        state = s.state;
+        if (s.code) code = s.code;
+        opts.onStatus?.(s);
+      },
+    };
+    if (role === 'controller' && !code) throw new Error('Bitte den Code der Anzeige eingeben');
+    if (!url && !code) code = randomCode();
+    const transport = url ? relayTransport(url, role, code, hooks) : localTransport(code, hooks);
+
+    return {
+      role,
+      send: msg => transport.send(msg),
+      close(){
+        transport.close();
+        hooks.onStatus({ state: 'closed', code });
+      },
+      get code(){ return code; },
+      get state(){ return state; },
+    };
+  }
+
+  function loadSettings(){
+    try { return JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null') || {}; }
+    catch { return {}; }
+  }
+  function saveSettings(settings){
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch {}
+  }
+
+  // The "Zweiter Bildschirm" panel and the display's code overlay around one connection.
+  // opts: { onMessage(msg), onConnect(role) — after every (re)connect, onChange(role | null) }
+  function create(opts){
+    const panel = document.getElementById('sync');
+    const roleEl = document.getElementById('sync-role');
+    const codeEl = document.getElementById('sync-code-input');
+    const relayEl = document.getElementById('sync-relay');
+    const status = document.getElementById('sync-status');
+    const overlay = document.getElementById('sync-code');
+    let link = null;
+    let connected = false;
+
+    const setStatus = msg => { if (status) status.textContent = msg; };
+    function showCode(code){
+      if (!overlay) return;
+      overlay.hidden = !code;
+      const el = overlay.querySelector('.sync-code-value');
+      if (el) el.textContent = code || '';
+    }
+
+    function describe(s, role){
+      if (s.state === 'connecting') return 'Verbinde …';
+      if (s.state === 'error') return ERRORS[s.error] || `Fehler: ${s.error}`;
+      if (role === 'controller') return `Steuert Anzeige ${s.code}`;
+      // Only the relay knows who else is there
+      if (s.peers == null) return `Anzeige · Code ${s.code}`;
+      return `Anzeige · Code ${s.code} · ${s.peers ? `${s.peers} Steuergerät${s.peers > 1 ? 'e' : ''} verbunden` : 'wartet auf Steuergerät'}`;
+    }
+
+    function stop(){
+      if (!link) return;
+      const old = link;
+      link = null;
+      connected = false;
+      old.close();
+      setStatus('Getrennt');
+      showCode(null);
+      opts.onChange?.(null);
+    }
+
+    // settings: { role, code, relay }; returns null (and says why) when it cannot start
+    function start(settings){
+      stop();
+      const role = settings.role === 'display' ? 'display' : 'controller';
+      let current = null;
+      // Late events of a replaced connection are ignored
+      const live = () => !current || link === current;
+      const hooks = {
+        role, code: settings.code, relay: settings.relay,
+        onMessage(msg){
+          if (!live()) return;
+          if (role === 'display') showCode(null);
+          opts.onMessage?.(msg);
+        },
+        onStatus(s){
+          if (!live() || s.state === 'closed') return;
+          setStatus(describe(s, role));
+          const wasConnected = connected;
+          connected = s.state === 'connected';
+          if (role === 'display') showCode(connected && !s.peers ? s.code : null);
+          if (s.state === 'error') opts.onChange?.(null);
+          if (connected && !wasConnected) opts.onConnect?.(role);
+        },
+      };
+      try { current = connect(hooks); }
+      catch (err) {
+        setStatus(err.message);
+        return null;
+      }
+      link = current;
+      saveSettings({ role, code: role === 'controller' ? current.code : settings.code || '', relay: settings.relay || '' });
+      opts.onChange?.(role);
+      return current;
+    }
+
+    function fill(){
+      const s = loadSettings();
+      if (roleEl) roleEl.value = link?.role || s.role || 'controller';
+      if (codeEl) codeEl.value = link?.code || s.code || '';
+      if (relayEl) relayEl.value = s.relay || '';
+    }
+
+    panel?.querySelector('.panel-bar')?.addEventListener('click', e => {
+      const act = e.target.closest('button[data-sync]')?.dataset.sync;
+      if (act === 'start') start({ role: roleEl?.value, code: codeEl?.value.trim(), relay: relayEl?.value.trim() });
+      else if (act === 'stop') stop();
+      else if (act === 'close') panel.hidden = true;
+    });
+    overlay?.addEventListener('click', () => { overlay.hidden = true; });
+
+    return {
+      start, stop,
+      send(msg){ if (link && connected) link.send(msg); },
+      open(){ if (panel){ fill(); panel.hidden = false; } },
+      get role(){ return link?.role || null; },
+    };
+  }
+
+  window.JukeboxSync = { create, connect, relayUrl };
+})();
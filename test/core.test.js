@@ -0,0 +1,194 @@
+// node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JukeboxCore = require('../core.js');
+
+const album = (fields = {}) => ({ front: '', back: '', discs: 1, artist: '', title: '', slot: null, ...fields });
+const song = (title, albumIndex, fields = {}) => ({ title, n: JukeboxCore.norm(title), albumIndex, disc: null, ...fields });
+
+// Three albums: a single, a double album (two positions) and one pinned behind a gap
+function sample(){
+  return JukeboxCore.create({
+    layout: { format: 'number', capacity: 20, gaps: [5] },
+    albums: [
+      album({ front: 'a.webp', artist: 'Wolfgang Ambros' }),
+      album({ front: 'b.webp', discs: 2 }),
+      album({ front: 'c.webp', slot: '6' }),
+    ],
+    songs: [
+      song('Schifoan', 0),
+      song('Da Hofa', 1, { disc: 2 }),
+      song('Da Hofa (Live)', 2),
+      song('Zwickt\'s mi', 1),
+    ],
+  });
+}
+
+// Collects every event of a core as [type, detail]
+function record(core){
+  const seen = [];
+  for (const type of ['platzchange', 'flip', 'searchresult']) core.on(type, d => seen.push([type, d]));
+  return seen;
+}
+
+test('norm folds case, accents and punctuation', () => {
+  assert.equal(JukeboxCore.norm('  Zwickt’s MI – Ölé! '), 'zwickt s mi ole');
+  assert.equal(JukeboxCore.norm(null), '');
+});
+
+test('fuzzyScore: 3 for the exact title, less for typos, 0 without a match', () => {
+  assert.equal(JukeboxCore.fuzzyScore('Schifoan', 'schifoan'), 3);
+  const typo = JukeboxCore.fuzzyScore('schifaon', 'schifoan');
+  assert.ok(typo > 0 && typo < 3, `typo scored ${typo}`);
+  assert.equal(JukeboxCore.fuzzyScore('zentralfriedhof', 'schifoan'), 0);
+});
+
+test('songKey groups versions of a song', () => {
+  assert.equal(JukeboxCore.songKey('Da Hofa (Live)'), JukeboxCore.songKey('Da Hofa - Remix \'99'));
+});
+
+test('slot maps follow discs, gaps and pinned slots', () => {
+  const core = sample();
+  assert.deepEqual(core.albumSlots, [[0], [1, 2], [5]]);
+  assert.deepEqual(core.albumStartSlot, ['1', '2', '6']);
+  assert.equal(core.slotToAlbum.get('3'), 1);
+  assert.equal(core.rangeLabel(1), '2–3');
+  assert.equal(core.rangeLabel(2), '6');
+  assert.equal(core.albumAt(' 3 '), 1);
+  assert.equal(core.albumAt('5'), -1); // gap
+  assert.equal(core.albumAt('x'), -1);
+  assert.deepEqual(core.problems, []);
+});
+
+test('an unusable capacity falls back to the default and is reported', () => {
+  const core = JukeboxCore.create({ layout: { capacity: 1e9 }, albums: [album()], songs: [] });
+  assert.equal(core.layout.capacity, 100);
+  assert.deepEqual(core.problems.map(p => [p.code, p.albumIndex]), [['capacity-invalid', -1]]);
+  assert.deepEqual(core.albumSlots, [[0]]);
+});
+
+test('computePlatzForSong picks the disc and marks guesses', () => {
+  const core = sample();
+  assert.deepEqual(core.computePlatzForSong({ albumIndex: 0 }), { slot: '1', approx: false });
+  assert.deepEqual(core.computePlatzForSong({ albumIndex: 1, disc: 2 }), { slot: '3', approx: false });
+  assert.deepEqual(core.computePlatzForSong({ albumIndex: 1 }), { slot: '2', approx: true });
+  assert.deepEqual(core.computePlatzForSong({ albumIndex: 1, disc: 3 }), { slot: '2', approx: true });
+  assert.deepEqual(core.computePlatzForSong({ albumIndex: 9 }), { slot: null, approx: false });
+});
+
+test('songOf finds a song by album and normalized title', () => {
+  const core = sample();
+  assert.equal(core.songOf(1, 'da hofa').disc, 2);
+  assert.equal(core.songOf(0, 'da hofa'), null);
+});
+
+test('findSongs groups versions with one hit per album and disc', () => {
+  const core = sample();
+  const [first, ...rest] = core.findSongs('da hofa');
+  assert.equal(first.key, 'da hofa');
+  assert.deepEqual(first.hits.map(h => h.platz.slot).sort(), ['3', '6']);
+  assert.ok(first.hits.every(h => Number.isInteger(h.song.id)));
+  assert.ok(!rest.some(g => g.key === 'da hofa'));
+  // The album's artist counts for its songs
+  assert.equal(core.findSongs('ambros')[0]?.title, 'Schifoan');
+  assert.equal(core.findSongs('hofa', 1).length, 1);
+});
+
+test('goToPlatz shows the album and keeps the exact code', () => {
+  const core = sample();
+  const seen = record(core);
+  assert.equal(core.goToPlatz('3'), 1);
+  assert.deepEqual(core.getState(), { albumIndex: 1, platz: '3', label: '2–3', back: false, query: '' });
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0][0], 'platzchange');
+  assert.equal(seen[0][1].previous.albumIndex, 0);
+  // Same album, other disc
+  core.goToPlatz('2');
+  assert.equal(seen.length, 2);
+  assert.equal(core.getState().platz, '2');
+  // Nothing happens for free or invalid codes
+  assert.equal(core.goToPlatz('5'), -1);
+  assert.equal(core.goToPlatz('A1'), -1);
+  assert.equal(seen.length, 2);
+});
+
+test('goToAlbum ignores codes of other albums and unknown albums', () => {
+  const core = sample();
+  assert.equal(core.goToAlbum(2, { platz: '3', back: true }), true);
+  assert.deepEqual(core.getState(), { albumIndex: 2, platz: '6', label: '6', back: true, query: '' });
+  assert.equal(core.goToAlbum(3), false);
+  assert.equal(core.goToAlbum(-1), false);
+  assert.equal(core.getState().albumIndex, 2);
+});
+
+test('flip toggles or sets the side and reports changes only', () => {
+  const core = sample();
+  const seen = record(core);
+  assert.equal(core.flip(), true);
+  assert.equal(core.flip(true), true);
+  assert.equal(core.flip(), false);
+  assert.deepEqual(seen.map(([type, d]) => [type, d.back]), [['flip', true], ['flip', false]]);
+  // Opening the same album on its back is a flip, not a new Platz
+  core.goToAlbum(0, { back: true });
+  assert.deepEqual(seen.at(-1)[0], 'flip');
+  // Another album always starts a new Platz, with its side
+  core.goToAlbum(1, { back: true });
+  assert.equal(seen.at(-1)[0], 'platzchange');
+  assert.equal(seen.at(-1)[1].back, true);
+});
+
+test('search remembers the query and announces the result', () => {
+  const core = sample();
+  const seen = record(core);
+  const groups = core.search('schifoan');
+  assert.equal(groups[0].hits[0].platz.slot, '1');
+  assert.equal(core.getState().query, 'schifoan');
+  assert.deepEqual(seen.map(([type, d]) => [type, d.query, d.groups.length]), [['searchresult', 'schifoan', groups.length]]);
+  assert.deepEqual(core.search('  '), []);
+});
+
+test('on returns an unsubscribe function; unknown events throw', () => {
+  const core = sample();
+  let calls = 0;
+  const stop = core.on('flip', () => calls++);
+  core.flip();
+  stop();
+  core.flip();
+  assert.equal(calls, 1);
+  assert.throws(() => core.on('nope', () => {}), /Unknown event/);
+});
+
+test('setSongs replaces the search index', () => {
+  const core = sample();
+  core.setSongs([song('Neues Lied', 2)]);
+  assert.equal(core.findSongs('schifoan').length, 0);
+  assert.equal(core.findSongs('neues lied')[0].hits[0].platz.slot, '6');
+  assert.equal(core.songs.length, 1);
+});
+
+test('an empty catalog has no album to show', () => {
+  const core = JukeboxCore.create({ albums: [] });
+  assert.equal(core.getState().albumIndex, -1);
+  assert.equal(core.flip(), false);
+  assert.equal(core.goToPlatz('1'), -1);
+  assert.deepEqual(core.search('x'), []);
+});
+
+test('findAcross merges the groups of several catalogs and names the machine', () => {
+  const a = { id: 'a', title: 'Wurlitzer' }, b = { id: 'b', title: 'Seeburg' };
+  const other = JukeboxCore.create({
+    layout: { format: 'letter-digit', letters: 'AB', digits: '12' },
+    albums: [album({ front: 'x.webp' }), album({ front: 'y.webp' })],
+    songs: [song('Da Hofa', 1), song('Ganz Anders', 0)],
+  });
+  const groups = JukeboxCore.findAcross([{ machine: a, core: sample() }, { machine: b, core: other }], 'da hofa');
+  const first = groups[0];
+  assert.equal(first.key, 'da hofa');
+  assert.deepEqual(first.hits.map(h => [h.machine.id, h.platz.slot]).sort(), [['a', '3'], ['a', '6'], ['b', 'A2']]);
+  assert.equal(new Set(groups.map(g => g.key)).size, groups.length);
+  // Only this machine has the song
+  const only = JukeboxCore.findAcross([{ machine: a, core: sample() }, { machine: b, core: other }], 'ganz anders');
+  assert.deepEqual(only[0].hits.map(h => [h.machine.title, h.platz.slot]), [['Seeburg', 'A1']]);
+  assert.deepEqual(JukeboxCore.findAcross([], 'x'), []);
+});
@@ -0,0 +1,35 @@
+// node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePlist, parseItunes } = require('../tools/import-catalog.js');
+
+const LIBRARY = `<?xml version="1.0" encoding="UTF-8"?>
+<plist version="1.0">
+<dict>
+  <key>Tracks</key>
+  <dict>
+    <key>1</key>
+    <dict>
+      <key>Name</key><string>Da Hofa &amp; Co</string>
+      <key>Artist</key><string>Wolfgang Ambros</string>
+      <key>Track Number</key><integer>2</integer>
+      <key>Compilation</key><true/>
+    </dict>
+  </dict>
+</dict>
+</plist>`;
+
+test('parsePlist reads an iTunes library export', () => {
+  const [t] = parseItunes(LIBRARY);
+  assert.equal(t.title, 'Da Hofa & Co');
+  assert.equal(t.artist, 'Wolfgang Ambros');
+  assert.equal(t.track, 2);
+  assert.equal(parsePlist(LIBRARY).Tracks['1'].Compilation, true);
+});
+
+test('parsePlist refuses a truncated export', () => {
+  const cut = LIBRARY.indexOf('Wolfgang');
+  assert.throws(() => parsePlist(LIBRARY.slice(0, cut)), /unterminated <string>/);
+  assert.throws(() => parsePlist(LIBRARY.slice(0, LIBRARY.indexOf('</dict>'))), /unterminated <dict>/);
+});
@@ -0,0 +1,62 @@
+// node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JukeboxProfiles = require('../profiles.js');
+
+test('normalize fills in defaults and skips bad or repeated ids', () => {
+  const { profiles, problems } = JukeboxProfiles.normalize([
+    { id: 'a', data: 'a/data.js' },
+    { id: 'a', title: 'Again' },
+    { id: 'b c' },
+    {},
+    { id: 'b', title: 'Seeburg', songs: 'b/songs.json', layout: { capacity: 80 } },
+  ]);
+  assert.deepEqual(profiles, [
+    { id: 'a', title: 'a', data: 'a/data.js', songs: 'songs.json', images: null, layout: null },
+    { id: 'b', title: 'Seeburg', data: 'data.js', songs: 'b/songs.json', images: null, layout: { capacity: 80 } },
+  ]);
+  assert.deepEqual(problems.map(p => [p.code, p.index]), [
+    ['profile-id-repeated', 1], ['profile-id-invalid', 2], ['profile-id-invalid', 3],
+  ]);
+  assert.deepEqual(JukeboxProfiles.problems, []);
+});
+
+test('the first profile is the default and keeps the unsuffixed storage keys', () => {
+  const [first] = JukeboxProfiles.list();
+  assert.ok(first);
+  assert.equal(JukeboxProfiles.active(''), first);
+  assert.equal(JukeboxProfiles.active('?machine=nope'), first);
+  assert.equal(JukeboxProfiles.active(`?machine=${first.id}`), first);
+  assert.equal(JukeboxProfiles.storageKey('jukebox-queue', first), 'jukebox-queue');
+  assert.equal(JukeboxProfiles.storageKey('jukebox-queue', { id: 'b' }), 'jukebox-queue-b');
+});
+
+test('href links to another machine, optionally at a route', () => {
+  assert.equal(JukeboxProfiles.href('b', 'platz=42&side=back'), '?machine=b#platz=42&side=back');
+  assert.equal(JukeboxProfiles.href('b'), '?machine=b');
+});
+
+test('loadCatalog reads a data file without touching the globals, legacy const albums included', async () => {
+  const files = {
+    'a/data.js': "window.catalog = { version: 2, albums: [{ front: 'a.webp', back: 'a-b.webp', artist: 'Falco' }] };",
+    'b/data.js': "const albums = [{ front: 'b.webp', back: 'b-b.webp', discs: 2 }];",
+    'c/data.js': "const albums = [{ front: 'c.webp', back: 'c-b.webp' }];",
+  };
+  const fetch = global.fetch;
+  global.fetch = async url => files[url]
+    ? { ok: true, text: async () => files[url] }
+    : { ok: false, status: 404 };
+  try {
+    const [a, b, c] = await Promise.all(['a', 'b', 'c'].map(id => JukeboxProfiles.loadCatalog({ id, data: `${id}/data.js`, layout: id === 'b' ? { capacity: 10 } : null })));
+    assert.equal(a.albums[0].artist, 'Falco');
+    assert.equal(b.albums[0].discs, 2);
+    assert.deepEqual(b.layout, { capacity: 10 });
+    assert.equal(c.albums[0].front, 'c.webp');
+    assert.equal(global.catalog, undefined);
+    assert.equal(global.albums, undefined);
+    await assert.rejects(JukeboxProfiles.loadCatalog({ id: 'd', data: 'd/data.js' }), /HTTP 404/);
+  } finally {
+    global.fetch = fetch;
+  }
+});
@@ -0,0 +1,33 @@
+// node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JukeboxQueue = require('../queue.js');
+
+const fromSlot = slot => ({ front: `${slot}.webp` });
+const rows = [
+  { entry: { type: 'song', title: 'Da Hofa - Live', artist: 'Wolfgang Ambros' }, slot: '12', approx: false },
+  { entry: { type: 'song', title: 'Servus – Remix', artist: 'STS' }, slot: 'B4', approx: true },
+  { entry: { type: 'song', title: 'Schifoan' }, slot: '3', approx: false },
+];
+const titles = entries => entries.map(e => [e.front, e.title, e.artist]);
+
+test('text lists keep dashes in titles', () => {
+  const back = JukeboxQueue.parse(JukeboxQueue.toText(rows), fromSlot);
+  assert.deepEqual(titles(back), [
+    ['12.webp', 'Da Hofa - Live', 'Wolfgang Ambros'],
+    ['B4.webp', 'Servus – Remix', 'STS'],
+    ['3.webp', 'Schifoan', undefined],
+  ]);
+});
+
+test('M3U keeps everything after the first " - " as the title', () => {
+  const back = JukeboxQueue.parse(JukeboxQueue.toM3u(rows), fromSlot);
+  assert.deepEqual(titles(back), [
+    ['12.webp', 'Da Hofa - Live', 'Wolfgang Ambros'],
+    ['B4.webp', 'Servus – Remix', 'STS'],
+    ['3.webp', 'Schifoan', undefined],
+  ]);
+  const [one] = JukeboxQueue.parse('#EXTM3U\n#EXTINF:-1,Artist - Title - Live\nindex.html#platz=7\n', fromSlot);
+  assert.deepEqual([one.artist, one.title], ['Artist', 'Title - Live']);
+});
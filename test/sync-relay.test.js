@@ -0,0 +1,226 @@
+// node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const { once } = require('events');
+const { createRelay, serveStatic, acceptKey, encodeFrame, frameReader } = require('../tools/sync-relay.js');
+
+// A client frame: masked, as browsers send them (RFC 6455 5.3)
+function clientFrame(opcode, payload, { fin = true, mask = [1, 2, 3, 4] } = {}){
+  const data = Buffer.from(payload);
+  const server = encodeFrame(opcode, data);
+  const headLength = server.length - data.length;
+  const head = Buffer.from(server.subarray(0, headLength));
+  if (!fin) head[0] &= 0x7f;
+  head[1] |= 0x80;
+  const masked = Buffer.from(data.map((b, i) => b ^ mask[i & 3]));
+  return Buffer.concat([head, Buffer.from(mask), masked]);
+}
+function readAll(chunks){
+  const frames = [];
+  const push = frameReader(f => frames.push(f));
+  for (const c of chunks) push(c);
+  return frames;
+}
+
+test('acceptKey matches the example of RFC 6455', () => {
+  assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('encodeFrame uses 7-bit, 16-bit and 64-bit lengths', () => {
+  assert.deepEqual([...encodeFrame(0x1, Buffer.from('hi')).subarray(0, 2)], [0x81, 2]);
+  const mid = encodeFrame(0x1, Buffer.alloc(300));
+  assert.equal(mid[1], 126);
+  assert.equal(mid.readUInt16BE(2), 300);
+  assert.equal(mid.length, 4 + 300);
+  const big = encodeFrame(0x2, Buffer.alloc(70000));
+  assert.equal(big[1], 127);
+  assert.equal(big.readBigUInt64BE(2), 70000n);
+  assert.equal(big.length, 10 + 70000);
+});
+
+test('frameReader reads unmasked and masked frames, also split across chunks', () => {
+  const [plain] = readAll([encodeFrame(0x1, Buffer.from('hallo'))]);
+  assert.deepEqual({ ...plain, payload: plain.payload.toString() }, { fin: true, opcode: 1, payload: 'hallo' });
+
+  const masked = clientFrame(0x1, 'Platz 42');
+  const bytes = [...masked].map(b => Buffer.from([b]));
+  const frames = readAll(bytes);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].payload.toString(), 'Platz 42');
+
+  // Two frames in one chunk, a 16-bit length among them
+  const long = 'x'.repeat(200);
+  const both = readAll([Buffer.concat([clientFrame(0x1, long), clientFrame(0x9, '')])]);
+  assert.deepEqual(both.map(f => [f.opcode, f.payload.length]), [[1, 200], [9, 0]]);
+});
+
+test('frameReader reads a 64-bit length and keeps fin of fragments', () => {
+  const data = Buffer.alloc(100, 0x61);
+  const head = Buffer.alloc(10);
+  head[0] = 0x01; // text, not final
+  head[1] = 127;
+  head.writeBigUInt64BE(100n, 2);
+  const frames = readAll([Buffer.concat([head, data]), encodeFrame(0x0, Buffer.from('b'))]);
+  assert.deepEqual(frames.map(f => [f.fin, f.opcode, f.payload.length]), [[false, 1, 100], [true, 0, 1]]);
+});
+
+test('frameReader refuses frames over 64 KB before they arrive', () => {
+  const head16 = Buffer.from([0x81, 126, 0, 0]);
+  head16.writeUInt16BE(65535, 2);
+  assert.doesNotThrow(() => readAll([head16]));
+  const head64 = Buffer.alloc(10);
+  head64[0] = 0x81;
+  head64[1] = 127;
+  head64.writeBigUInt64BE(BigInt(64 * 1024 + 1), 2);
+  assert.throws(() => readAll([head64]), /too large/);
+  assert.throws(() => readAll([head64.subarray(0, 10)]), /too large/);
+});
+
+// A raw WebSocket client on a relay started for the test
+async function withRelay(fn){
+  const relay = createRelay();
+  const server = http.createServer((req, res) => res.writeHead(404).end());
+  server.on('upgrade', relay.upgrade);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const sockets = [];
+  async function connect(){
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    sockets.push(socket);
+    await once(socket, 'connect');
+    socket.write('GET /sync HTTP/1.1\r\nHost: x\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n'
+      + 'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n');
+    const inbox = [];
+    const waiting = [];
+    let upgraded;
+    const ready = new Promise(r => { upgraded = r; });
+    let head = true;
+    let rest = Buffer.alloc(0);
+    const push = frameReader(f => {
+      const item = f.opcode === 0x1 ? JSON.parse(f.payload) : { opcode: f.opcode };
+      const w = waiting.shift();
+      if (w) w(item); else inbox.push(item);
+    });
+    socket.on('data', chunk => {
+      if (head){
+        rest = Buffer.concat([rest, chunk]);
+        const end = rest.indexOf('\r\n\r\n');
+        if (end < 0) return;
+        assert.match(rest.subarray(0, end).toString(), /^HTTP\/1\.1 101/);
+        head = false;
+        upgraded();
+        chunk = rest.subarray(end + 4);
+      }
+      if (chunk.length) push(chunk);
+    });
+    await ready;
+    return {
+      socket,
+      next: () => inbox.length ? Promise.resolve(inbox.shift()) : new Promise(r => waiting.push(r)),
+      send: msg => socket.write(clientFrame(0x1, JSON.stringify(msg))),
+    };
+  }
+  try {
+    await fn({ relay, connect });
+  } finally {
+    sockets.forEach(s => s.destroy());
+    server.close();
+  }
+}
+const settle = () => new Promise(r => setTimeout(r, 50));
+
+test('join: displays get a code, controllers need a known one', () => withRelay(async ({ relay, connect }) => {
+  const display = await connect();
+  display.send({ type: 'join', role: 'display' });
+  const joined = await display.next();
+  assert.equal(joined.type, 'joined');
+  assert.match(joined.code, /^\d{4}$/);
+  assert.equal(joined.peers, 0);
+
+  const stranger = await connect();
+  stranger.send({ type: 'join', role: 'controller' });
+  assert.deepEqual(await stranger.next(), { type: 'error', error: 'code-required' });
+  const unknown = joined.code === '0000' ? '0001' : '0000';
+  stranger.send({ type: 'join', role: 'controller', code: unknown });
+  assert.deepEqual(await stranger.next(), { type: 'error', error: 'unknown-code' });
+  stranger.send({ type: 'join', role: 'visitor' });
+  assert.deepEqual(await stranger.next(), { type: 'error', error: 'bad-role' });
+
+  const controller = await connect();
+  controller.send({ type: 'join', role: 'controller', code: joined.code });
+  assert.deepEqual(await controller.next(), { type: 'joined', code: joined.code, peers: 1 });
+  assert.deepEqual(await display.next(), { type: 'peers', peers: 1 });
+
+  controller.send({ type: 'msg', data: { type: 'view', platz: '42' } });
+  assert.deepEqual(await display.next(), { type: 'msg', data: { type: 'view', platz: '42' } });
+  assert.equal(relay.rooms.get(joined.code).size, 2);
+}));
+
+test('fragmented messages are put together', () => withRelay(async ({ connect }) => {
+  const display = await connect();
+  display.send({ type: 'join', role: 'display' });
+  const { code } = await display.next();
+  const controller = await connect();
+  const text = JSON.stringify({ type: 'join', role: 'controller', code });
+  controller.socket.write(clientFrame(0x1, text.slice(0, 10), { fin: false }));
+  controller.socket.write(clientFrame(0x0, text.slice(10)));
+  assert.equal((await controller.next()).type, 'joined');
+}));
+
+test('a client that only half-closes leaves its room at once', () => withRelay(async ({ relay, connect }) => {
+  const display = await connect();
+  display.send({ type: 'join', role: 'display' });
+  const { code } = await display.next();
+  const controller = await connect();
+  controller.send({ type: 'join', role: 'controller', code });
+  await controller.next();
+  await display.next(); // peers: 1
+  controller.socket.end();
+  assert.deepEqual(await display.next(), { type: 'peers', peers: 0 });
+  display.socket.end();
+  await settle();
+  assert.equal(relay.rooms.size, 0);
+}));
+
+test('a close frame is answered before the socket closes', () => withRelay(async ({ relay, connect }) => {
+  const display = await connect();
+  display.send({ type: 'join', role: 'display' });
+  await display.next();
+  display.socket.write(clientFrame(0x8, ''));
+  assert.deepEqual(await display.next(), { opcode: 0x8 });
+  await once(display.socket, 'close');
+  assert.equal(relay.rooms.size, 0);
+}));
+
+test('static files: only what asset-manifest.js lists', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-'));
+  fs.writeFileSync(path.join(root, 'index.html'), '<h1>Jukebox</h1>');
+  fs.writeFileSync(path.join(root, 'app.js'), '');
+  fs.writeFileSync(path.join(root, 'requests.jsonl'), 'secret');
+  fs.mkdirSync(path.join(root, '.git'));
+  fs.writeFileSync(path.join(root, '.git', 'config'), 'secret');
+  fs.writeFileSync(path.join(root, 'asset-manifest.js'), `self.ASSET_MANIFEST = ${JSON.stringify({
+    core: { './index.html': 'x', './app.js': 'x' },
+    profiles: [{ id: 'a', files: {}, images: {}, variants: {} }],
+  })};`);
+  const server = http.createServer(serveStatic(root)).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const get = async url => (await fetch(`http://127.0.0.1:${server.address().port}${url}`)).status;
+  try {
+    assert.equal(await get('/'), 200);
+    assert.equal(await get('/index.html?sync=display'), 200);
+    assert.equal(await get('/asset-manifest.js'), 200);
+    assert.equal(await get('/requests.jsonl'), 404);
+    assert.equal(await get('/.git/config'), 404);
+    assert.equal(await get('/%2e%2e/etc/passwd'), 404);
+  } finally {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/* Responsive cover images
+   - For every front and back cover in data.js: smaller WebP copies at --widths (only
+     below the original's width), AVIF at those widths and the full width, and a tiny
+     WebP used as a blurred placeholder while the cover loads
+   - AVIF is left out for a cover when it is not smaller than the original WebP
+   - Writes the srcset strings and placeholders into data.js (album.images, see catalog.js);
+     the original file stays the largest WebP candidate
+   - Copies go into sized/ next to their original (bilder/sized/, or with several machines
+     each machine's own image folder, see profiles.js); --out puts all of them in one folder
+   - Copies that are newer than their original are kept (--force rebuilds them)
+   - Needs sharp, which is not part of this repository:
+       npm install --no-save sharp
+
+   Usage: node tools/build-images.js [--root .] [--data data.js] [--out DIR]
+                                     [--widths 240,480] [--quality 75] [--force] [--dry-run]
+*/
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const Catalog = require('../catalog.js');
+const { loadDataJs } = require('./check-catalog.js');
+
+const PLACEHOLDER_WIDTH = 16;
+const AVIF_QUALITY_OFFSET = 30; // AVIF looks alike at a much lower quality setting
+const AVIF_EFFORT = 2;          // the default (4) is several times slower for a few % size
+
+function parseArgs(argv){
+  const opts = { root: '.', data: 'data.js', out: null, widths: [240, 480], quality: 75, force: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${a}`);
+      return argv[++i];
+    };
+    if (a === '--root') opts.root = val();
+    else if (a === '--data') opts.data = val();
+    else if (a === '--out') opts.out = val();
+    else if (a === '--widths') opts.widths = val().split(',').map(Number);
+    else if (a === '--quality') opts.quality = Number(val());
+    else if (a === '--force') opts.force = true;
+    else if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--help' || a === '-h') opts.help = true;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (!opts.widths.length || !opts.widths.every(w => Number.isInteger(w) && w > 0)) throw new Error('--widths must be positive integers, e.g. 240,480');
+  if (!(opts.quality >= 1 && opts.quality <= 100)) throw new Error('--quality must be 1..100');
+  opts.widths = [...new Set(opts.widths)].sort((a, b) => a - b);
+  return opts;
+}
+
+function loadSharp(){
+  try { return require('sharp'); }
+  catch { throw new Error('sharp is not installed; run: npm install --no-save sharp'); }
+}
+
+const posix = p => p.split(path.sep).join('/');
+
+async function run(opts){
+  const sharp = loadSharp();
+  const root = path.resolve(opts.root);
+  const dataFile = path.resolve(root, opts.data);
+  // A cover's copies: --out, else sized/ beside the cover
+  const outDirOf = src => opts.out ? path.resolve(root, opts.out) : path.join(path.dirname(src), 'sized');
+  const issues = [];
+  const report = (level, code, message, extra) => issues.push({ level, code, message, ...extra });
+  const { layout, albums } = loadDataJs(dataFile);
+  let generated = 0, kept = 0, faces = 0;
+
+  // Writes one copy unless an up-to-date one exists; returns its path relative to root
+  async function variant(src, srcTime, base, width, format){
+    const file = path.join(outDirOf(src), `${base}-${width}.${format}`);
+    const fresh = !opts.force && fs.existsSync(file) && fs.statSync(file).mtimeMs >= srcTime;
+    if (fresh) kept++;
+    else {
+      generated++;
+      if (!opts.dryRun){
+        const img = sharp(src).resize({ width, withoutEnlargement: true });
+        await (format === 'avif'
+          ? img.avif({ quality: Math.max(1, opts.quality - AVIF_QUALITY_OFFSET), effort: AVIF_EFFORT })
+          : img.webp({ quality: opts.quality })).toFile(file);
+      }
+    }
+    return posix(path.relative(root, file));
+  }
+
+  async function imageSet(ref, label){
+    const src = path.resolve(root, ref);
+    if (!ref || !fs.existsSync(src)){
+      report('error', 'image-missing', `${label}: ${ref || 'no image'} not found`);
+      return null;
+    }
+    const { width, height } = await sharp(src).metadata();
+    const srcTime = fs.statSync(src).mtimeMs;
+    const base = path.basename(ref, path.extname(ref));
+    if (!opts.dryRun) fs.mkdirSync(outDirOf(src), { recursive: true });
+    const widths = opts.widths.filter(w => w < width);
+    const webp = [], avif = [];
+    for (const w of widths) webp.push(`${await variant(src, srcTime, base, w, 'webp')} ${w}w`);
+    webp.push(`${ref} ${width}w`);
+    for (const w of [...widths, width]) avif.push(`${await variant(src, srcTime, base, w, 'avif')} ${w}w`);
+    const fullAvif = path.join(outDirOf(src), `${base}-${width}.avif`);
+    const avifWins = !fs.existsSync(fullAvif) || fs.statSync(fullAvif).size < fs.statSync(src).size;
+    const tiny = await sharp(src).resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 40 }).toBuffer();
+    faces++;
+    return { width, height, webp: webp.join(', '), avif: avifWins ? avif.join(', ') : '', placeholder: `data:image/webp;base64,${tiny.toString('base64')}` };
+  }
+
+  for (const [i, a] of albums.entries()){
+    const front = await imageSet(a.front, `Album ${i} front`);
+    const back = await imageSet(a.back, `Album ${i} back`);
+    a.images = front || back ? { front, back } : null;
+  }
+
+  const errors = issues.filter(x => x.level === 'error').length;
+  const written = !opts.dryRun && errors === 0;
+  if (written) fs.writeFileSync(dataFile, Catalog.serializeDataJs({ layout, albums }));
+  return {
+    ok: errors === 0,
+    summary: { albums: albums.length, faces, generated, kept, widths: opts.widths, written, errors, warnings: issues.length - errors },
+    issues,
+  };
+}
+
+if (require.main === module){
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (e) { console.error(e.message); process.exit(2); }
+  if (opts.help){
+    console.log('Usage: node tools/build-images.js [--root .] [--data data.js] [--out DIR] [--widths 240,480] [--quality 75] [--force] [--dry-run]');
+    process.exit(0);
+  }
+  run(opts).then(result => {
+    console.log(JSON.stringify(result, null, 2));
+    // exitCode instead of exit(): let stdout drain when piped
+    process.exitCode = result.ok ? 0 : 1;
+  }, e => {
+    console.error(`build-images: ${e.message}`);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/* Asset manifest for the service worker
+   - Lists the app shell (everything index.html and strips.html load, manifest icons),
+     and per machine (profiles.js) its data file, songs.json, every image in its image
+     folder and the resized copies in its subfolders (tools/build-images.js), each with
+     a content hash
+   - Writes asset-manifest.js, which service-worker.js imports; the shell's hashes make
+     up the cache version, each machine's files its own, so any changed file ships as an
+     update without a manual bump
+   - --check only compares with the file on disk (exit code 1 when it is stale)
+
+   Usage: node tools/build-manifest.js [--root .] [--out asset-manifest.js] [--images bilder] [--check]
+   --images is the image folder of machines without their own `images`.
+   Run it after every change to the app or the catalog, before deploying.
+*/
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const IMAGE_RE = /\.(png|jpe?g|webp|gif|avif)$/i;
+const PAGES = ['index.html', 'strips.html'];
+// Loaded by fetch() rather than from a tag
+const EXTRA = ['manifest.json'];
+// Without profiles.js: the one machine of older trees
+const DEFAULT_PROFILES = [{ id: 'default', data: 'data.js', songs: 'songs.json', images: null }];
+const HASH_LENGTH = 16;
+
+function parseArgs(argv){
+  const opts = { root: '.', out: 'asset-manifest.js', images: 'bilder', check: false };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${a}`);
+      return argv[++i];
+    };
+    if (a === '--root') opts.root = val();
+    else if (a === '--out') opts.out = val();
+    else if (a === '--images') opts.images = val();
+    else if (a === '--check') opts.check = true;
+    else if (a === '--help' || a === '-h') opts.help = true;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  return opts;
+}
+
+const hashOf = buf => crypto.createHash('sha256').update(buf).digest('hex').slice(0, HASH_LENGTH);
+const isRemote = ref => /^(?:[a-z]+:)?\/\//i.test(ref);
+
+// The machines from <root>/profiles.js, read again on every call, and the entries it skipped
+function loadProfiles(root){
+  const file = path.join(root, 'profiles.js');
+  if (!fs.existsSync(file)) return { profiles: DEFAULT_PROFILES, problems: [] };
+  delete require.cache[require.resolve(file)];
+  const { list, problems = [] } = require(file);
+  return { profiles: list(), problems };
+}
+
+// Local and remote files referenced by <script src> and <link href> in a page
+function pageRefs(html){
+  const refs = [];
+  const re = /<(?:script|link)\b[^>]*?\s(?:src|href)\s*=\s*["']([^"']+)["']/gi;
+  let m;
+  while ((m = re.exec(html))) refs.push(m[1]);
+  return refs;
+}
+
+function build(opts){
+  const root = path.resolve(opts.root);
+  const issues = [];
+  const report = (level, code, message, extra) => issues.push({ level, code, message, ...extra });
+  const local = new Set();
+  const remote = new Set();
+
+  for (const page of PAGES){
+    const file = path.join(root, page);
+    if (!fs.existsSync(file)){ report('error', 'page-missing', `${page} not found`, { file: page }); continue; }
+    local.add(page);
+    for (const ref of pageRefs(fs.readFileSync(file, 'utf8'))){
+      if (isRemote(ref)) remote.add(ref);
+      else local.add(path.posix.normalize(ref.split(/[?#]/)[0].replace(/^\.\//, '')));
+    }
+  }
+  EXTRA.forEach(f => local.add(f));
+  try {
+    const webManifest = JSON.parse(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8'));
+    (webManifest.icons || []).forEach(icon => { if (icon.src && !isRemote(icon.src)) local.add(path.posix.normalize(icon.src)); });
+  } catch (e) {
+    report('warning', 'manifest-json', `manifest.json: ${e.message}`);
+  }
+
+  const relOf = ref => path.posix.normalize(ref.replace(/^\.\//, ''));
+  const { profiles, problems } = loadProfiles(root);
+  for (const p of problems) report('warning', p.code, `profiles.js: ${p.message}`);
+  // A machine's files belong to its own cache, even where a page loads them too
+  profiles.forEach(p => { local.delete(relOf(p.data)); local.delete(relOf(p.songs)); });
+
+  function hashFiles(list, into, extra){
+    for (const rel of list){
+      const file = path.join(root, rel);
+      if (!fs.existsSync(file)){ report('error', 'file-missing', `${rel} is referenced but not found`, { file: rel, ...extra }); continue; }
+      into[`./${rel}`] = hashOf(fs.readFileSync(file));
+    }
+    return into;
+  }
+  const core = hashFiles([...local].sort(), {});
+
+  // Per machine: originals (precached by "Offline speichern") and resized copies (cached when viewed)
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  function scan(dir, into, variants){
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => byName(a.name, b.name))){
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) scan(file, variants, variants);
+      else if (IMAGE_RE.test(entry.name)) into[`./${path.relative(root, file).split(path.sep).join('/')}`] = hashOf(fs.readFileSync(file));
+    }
+  }
+  const machines = profiles.map(p => {
+    const files = hashFiles([relOf(p.data), relOf(p.songs)], {}, { profile: p.id });
+    const images = {}, variants = {};
+    const folder = p.images || opts.images;
+    const imageDir = path.resolve(root, folder);
+    if (fs.existsSync(imageDir)) scan(imageDir, images, variants);
+    else report('warning', 'images-missing', `Image folder ${folder} of ${p.id} not found`, { profile: p.id });
+    return { id: p.id, version: hashOf(JSON.stringify(files)), files, images, variants };
+  });
+
+  // The shell's version; each machine has its own, images are invalidated one by one by their own hash
+  const version = hashOf(JSON.stringify({ core, remote: [...remote] }));
+  const manifest = { version, core, remote: [...remote], profiles: machines };
+  const text = '// Generated by tools/build-manifest.js – do not edit; run it again after changing files\n'
+    + `self.ASSET_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`;
+
+  const outFile = path.resolve(root, opts.out);
+  let written = false;
+  if (opts.check){
+    const current = fs.existsSync(outFile) ? fs.readFileSync(outFile, 'utf8') : null;
+    if (current !== text) report('error', 'manifest-stale', `${opts.out} is ${current == null ? 'missing' : 'out of date'}; run node tools/build-manifest.js`);
+  } else if (!issues.some(x => x.level === 'error')){
+    fs.writeFileSync(outFile, text);
+    written = true;
+  }
+
+  const errors = issues.filter(x => x.level === 'error').length;
+  return {
+    ok: errors === 0,
+    summary: {
+      version,
+      core: Object.keys(core).length,
+      remote: remote.size,
+      profiles: machines.length,
+      images: machines.reduce((n, m) => n + Object.keys(m.images).length, 0),
+      variants: machines.reduce((n, m) => n + Object.keys(m.variants).length, 0),
+      written,
+      errors,
+      warnings: issues.length - errors,
+    },
+    issues,
+  };
+}
+
+if (require.main === module){
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (e) { console.error(e.message); process.exit(2); }
+  if (opts.help){
+    console.log('Usage: node tools/build-manifest.js [--root .] [--out asset-manifest.js] [--images bilder] [--check]');
+    process.exit(0);
+  }
+  let result;
+  try { result = build(opts); }
+  catch (e) { console.error(`build-manifest: ${e.message}`); process.exit(2); }
+  console.log(JSON.stringify(result, null, 2));
+  // exitCode instead of exit(): let stdout drain when piped
+  process.exitCode = result.ok ? 0 : 1;
+}
+
+module.exports = { build, pageRefs, loadProfiles };
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/* Catalog consistency checker
+   - Cross-checks data.js, songs.json and the bilder/ folder
+   - Prints a JSON report to stdout; exit code 1 on errors (or warnings with --strict)
+
+   Usage: node tools/check-catalog.js [--root .] [--data data.js] [--songs songs.json]
+                                      [--images bilder] [--capacity N] [--strict]
+   --capacity overrides layout.capacity from data.js (see slots.js)
+*/
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Catalog = require('../catalog.js');
+const { norm } = require('../song-index.js');
+const SlotLayout = require('../slots.js');
+
+const IMAGE_RE = /\.(png|jpe?g|webp|gif|avif)$/i;
+
+function parseArgs(argv){
+  const opts = { root: '.', data: 'data.js', songs: 'songs.json', images: 'bilder', capacity: null, strict: false };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${a}`);
+      return argv[++i];
+    };
+    if (a === '--root') opts.root = val();
+    else if (a === '--data') opts.data = val();
+    else if (a === '--songs') opts.songs = val();
+    else if (a === '--images') opts.images = val();
+    else if (a === '--capacity') opts.capacity = Number(val());
+    else if (a === '--strict') opts.strict = true;
+    else if (a === '--help' || a === '-h') opts.help = true;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (opts.capacity != null && !(opts.capacity > 0)) throw new Error('--capacity must be a positive number');
+  return opts;
+}
+
+// Runs data.js in a sandbox that looks like the browser's global scope
+function loadDataJs(file){
+  const sandbox = { window: {}, console };
+  const ctx = vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(file, 'utf8'), ctx, { filename: file });
+  // `const albums = [...]` lives in the context's lexical scope, not on window
+  const bare = vm.runInContext('typeof albums !== "undefined" ? albums : undefined', ctx);
+  return Catalog.readAlbums({
+    catalog: sandbox.window.catalog ?? vm.runInContext('typeof catalog !== "undefined" ? catalog : undefined', ctx),
+    albums: sandbox.window.albums ?? bare,
+  });
+}
+
+function check(opts){
+  const root = path.resolve(opts.root);
+  const issues = [];
+  const report = (level, code, message, extra) => issues.push({ level, code, message, ...extra });
+
+  const { version: dataVersion, layout: layoutConfig, albums, warnings: dataWarnings } = loadDataJs(path.resolve(root, opts.data));
+  const rawSongs = JSON.parse(fs.readFileSync(path.resolve(root, opts.songs), 'utf8'));
+  const { version: songsVersion, songs, warnings: songsWarnings } = Catalog.readSongs(rawSongs);
+  for (const w of dataWarnings) report('warning', w.code, `${opts.data}: ${w.message}`, { file: opts.data });
+  for (const w of songsWarnings) report('warning', w.code, `${opts.songs}: ${w.message}`, { file: opts.songs });
+  const rawList = Array.isArray(rawSongs) ? rawSongs : rawSongs?.songs || [];
+
+  // Cover images: referenced by data.js vs. present in bilder/
+  const imageDir = path.resolve(root, opts.images);
+  const onDisk = fs.existsSync(imageDir)
+    ? fs.readdirSync(imageDir).filter(f => IMAGE_RE.test(f)).map(f => path.relative(root, path.join(imageDir, f)).split(path.sep).join('/'))
+    : [];
+  const referenced = new Set();
+  albums.forEach((a, i) => {
+    for (const side of ['front', 'back']){
+      const ref = a[side];
+      if (!ref){
+        report('error', 'image-unset', `Album ${i} has no ${side} image`, { albumIndex: i });
+        continue;
+      }
+      const rel = path.posix.normalize(ref.replace(/^\.\//, ''));
+      referenced.add(rel);
+      if (!fs.existsSync(path.resolve(root, rel))) report('error', 'image-missing', `Album ${i}: ${side} image ${ref} not found`, { albumIndex: i, file: ref });
+    }
+  });
+  for (const f of onDisk){
+    if (!referenced.has(f)) report('warning', 'image-orphaned', `${f} is not used by any album in ${opts.data}`, { file: f });
+  }
+  // Numbered covers (N-front.*) that skip a number whose image exists: an album was
+  // left out of data.js, so every albumIndex after it points one album too early
+  const numberOf = a => Number((/(?:^|\/)(\d+)-front\.[a-z]+$/i.exec(a.front) || [])[1]);
+  const unused = new Map(onDisk.filter(f => !referenced.has(f)).map(f => [numberOf({ front: f }), f]));
+  albums.forEach((a, i) => {
+    if (!i) return;
+    const prev = numberOf(albums[i-1]), cur = numberOf(a);
+    if (!(prev > 0 && cur > prev + 1)) return;
+    for (let n = prev + 1; n < cur; n++){
+      if (unused.has(n)) report('error', 'album-missing', `${unused.get(n)} exists but no album between ${i-1} and ${i} uses it; albumIndex values from ${i} on may be shifted`, { albumIndex: i, file: unused.get(n) });
+    }
+  });
+
+  // Slots: same assignment as the app (capacity-invalid, slot-overflow, slot-conflict, slot-invalid)
+  const layout = SlotLayout.create(opts.capacity ? { ...layoutConfig, capacity: opts.capacity } : layoutConfig);
+  const { slotToAlbum, problems } = SlotLayout.assign(albums, layout);
+  for (const p of problems) report('error', p.code, p.message, p.albumIndex >= 0 ? { albumIndex: p.albumIndex } : {});
+
+  // Songs
+  rawList.forEach((raw, k) => {
+    const s = songs[k];
+    const album = albums[s.albumIndex];
+    if (!Number.isInteger(s.albumIndex) || !album){
+      report('error', 'album-index-range', `Song ${k} "${s.title}": albumIndex ${raw?.albumIndex} is outside 0–${albums.length - 1}`, { songIndex: k });
+      return;
+    }
+    if (s.disc != null && !(Number.isInteger(s.disc) && s.disc >= 1)){
+      report('error', 'disc-invalid', `Song ${k} "${s.title}": disc ${raw?.disc} is not a disc number`, { songIndex: k, albumIndex: s.albumIndex });
+    } else if (s.disc != null && s.disc > album.discs){
+      report('error', 'disc-range', `Song ${k} "${s.title}": disc ${s.disc} on album ${s.albumIndex}, which has ${album.discs} disc${album.discs > 1 ? 's' : ''}`, { songIndex: k, albumIndex: s.albumIndex });
+    }
+    if (!s.title){
+      report('error', 'title-missing', `Song ${k} has no title`, { songIndex: k, albumIndex: s.albumIndex });
+    } else if (raw?.n != null && raw?.title != null && raw.n !== norm(raw.title)){
+      report('error', 'norm-mismatch', `Song ${k}: n "${raw.n}" should be "${norm(raw.title)}"`, { songIndex: k, albumIndex: s.albumIndex });
+    }
+  });
+
+  const errors = issues.filter(x => x.level === 'error').length;
+  const warnings = issues.length - errors;
+  return {
+    ok: errors === 0 && (!opts.strict || warnings === 0),
+    summary: {
+      albums: albums.length,
+      songs: songs.length,
+      images: onDisk.length,
+      slots: slotToAlbum.size,
+      capacity: layout.capacity,
+      gaps: layout.gaps.length,
+      dataVersion,
+      songsVersion,
+      errors,
+      warnings,
+    },
+    issues,
+  };
+}
+
+if (require.main === module){
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (e) { console.error(e.message); process.exit(2); }
+  if (opts.help){
+    console.log('Usage: node tools/check-catalog.js [--root .] [--data data.js] [--songs songs.json] [--images bilder] [--capacity N] [--strict]');
+    process.exit(0);
+  }
+  let result;
+  try { result = check(opts); }
+  catch (e) { console.error(`check-catalog: ${e.message}`); process.exit(2); }
+  console.log(JSON.stringify(result, null, 2));
+  // exitCode instead of exit(): let stdout drain when piped
+  process.exitCode = result.ok ? 0 : 1;
+}
+
+module.exports = { check, loadDataJs };
@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/* Catalog importer
+   - Reads track lists from CSV/TSV, M3U/M3U8, iTunes/Music library XML and
+     MusicBrainz release JSON
+   - Pairs N-front/N-back images in bilder/ into albums, in numeric order
+   - Writes data.js and songs.json through catalog.js, so `n` always equals norm(title)
+   - --merge keeps the existing catalog: albums never move, so every albumIndex stays
+     valid; new cover pairs are appended, matching tracks are updated, new ones added
+   - Prints a JSON report like check-catalog.js
+
+   Usage: node tools/import-catalog.js [--root .] [--data data.js] [--songs songs.json]
+                                       [--images bilder] [--merge] [--force] [--dry-run] FILE...
+   Albums are matched to covers by a `cover` column/field (the N of N-front), then, with
+   --merge, by artist + title, then in input order to the next cover without tracks.
+*/
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const Catalog = require('../catalog.js');
+const { norm } = require('../song-index.js');
+const { loadDataJs } = require('./check-catalog.js');
+
+const COVER_RE = /^(\d+)-(front|back)\.(webp|jpe?g|png|avif|gif)$/i;
+
+function parseArgs(argv){
+  const opts = { root: '.', data: 'data.js', songs: 'songs.json', images: 'bilder', merge: false, force: false, dryRun: false, inputs: [] };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${a}`);
+      return argv[++i];
+    };
+    if (a === '--root') opts.root = val();
+    else if (a === '--data') opts.data = val();
+    else if (a === '--songs') opts.songs = val();
+    else if (a === '--images') opts.images = val();
+    else if (a === '--merge') opts.merge = true;
+    else if (a === '--force') opts.force = true;
+    else if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--help' || a === '-h') opts.help = true;
+    else if (a.startsWith('--')) throw new Error(`Unknown option ${a}`);
+    else opts.inputs.push(a);
+  }
+  if (!opts.help && !opts.inputs.length) throw new Error('No input files');
+  return opts;
+}
+
+// Tracks from every format share one shape:
+//   { title, artist, album, albumArtist, year, genre, disc, side, track, cover }
+
+const text = v => (v == null ? '' : String(v).trim());
+const intOrNull = v => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? n : null;
+};
+// "A3" (record side + track), "3", "3/12"
+function position(v){
+  const m = /^\s*([A-Za-z])\s*(\d+)\s*$/.exec(text(v));
+  if (m) return { side: m[1].toUpperCase(), track: Number(m[2]) };
+  return { side: '', track: intOrNull(v) };
+}
+
+// CSV/TSV with a header row; comma, semicolon or tab separated, RFC 4180 quoting
+const CSV_COLUMNS = {
+  title: ['title', 'titel', 'name', 'song'],
+  artist: ['artist', 'interpret', 'kunstler', 'kuenstler'],
+  album: ['album', 'release'],
+  albumArtist: ['albumartist', 'albuminterpret'],
+  year: ['year', 'jahr'],
+  genre: ['genre'],
+  disc: ['disc', 'cd', 'discnumber', 'disk'],
+  side: ['side', 'seite'],
+  track: ['track', 'nr', 'tracknumber', 'no', 'position'],
+  cover: ['cover', 'bild', 'image'],
+};
+function parseCsv(src){
+  const t = src.replace(/^\uFEFF/, '');
+  const head = t.slice(0, (t.indexOf('\n') + 1 || t.length + 1) - 1);
+  const delim = [',', ';', '\t'].sort((a, b) => head.split(b).length - head.split(a).length)[0];
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < t.length; i++){
+    const c = t[i];
+    if (quoted){
+      if (c === '"' && t[i + 1] === '"'){ field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim){ row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r'){
+      if (c === '\r' && t[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length){ row.push(field); rows.push(row); }
+
+  const header = (rows.shift() || []).map(h => h.toLowerCase().replace(/ü/g, 'u').replace(/[^a-z]/g, ''));
+  const col = {};
+  for (const [key, names] of Object.entries(CSV_COLUMNS)){
+    const k = header.findIndex(h => names.includes(h));
+    if (k >= 0) col[key] = k;
+  }
+  if (col.title == null) throw new Error('CSV needs a title column (title/titel/name)');
+  return rows.filter(r => r.some(f => f.trim())).map(r => {
+    const get = key => (col[key] == null ? '' : text(r[col[key]]));
+    const pos = position(get('track'));
+    return {
+      title: get('title'), artist: get('artist'), album: get('album'), albumArtist: get('albumArtist'),
+      year: intOrNull(get('year')), genre: get('genre'), disc: intOrNull(get('disc')),
+      side: get('side').toUpperCase() || pos.side, track: pos.track, cover: intOrNull(get('cover')),
+    };
+  });
+}
+
+// M3U/M3U8: #EXTINF:sec,Artist - Title, optional #EXTALB/#EXTART; otherwise the album
+// comes from the folder ("Artist - Album/CD2/03 Title.mp3")
+function parseM3u(src){
+  const out = [];
+  let info = '', album = '', albumArtist = '';
+  for (const raw of src.replace(/^\uFEFF/, '').split(/\r?\n/)){
+    const line = raw.trim();
+    if (!line) continue;
+    if (/^#EXTINF:/i.test(line)){ info = line.replace(/^#EXTINF:[^,]*,/i, ''); continue; }
+    if (/^#EXTALB:/i.test(line)){ album = text(line.slice(8)); continue; }
+    if (/^#EXTART:/i.test(line)){ albumArtist = text(line.slice(8)); continue; }
+    if (line.startsWith('#')) continue;
+
+    const parts = line.replace(/^[a-z]+:\/\/[^/]*/i, '').split(/[\\/]/).filter(Boolean).map(p => { try { return decodeURIComponent(p); } catch { return p; } });
+    const file = (parts.pop() || '').replace(/\.[a-z0-9]+$/i, '');
+    let disc = null;
+    if (parts.length && /^(cd|disc|disk)\s*\d+$/i.test(parts[parts.length - 1])) disc = intOrNull(parts.pop().replace(/\D+/g, ''));
+    const folder = parts.pop() || '';
+    const fileNum = /^(?:(\d)-)?(\d{1,3})[\s._-]+(.*)$/.exec(file);
+    if (fileNum?.[1] && disc == null) disc = Number(fileNum[1]);
+
+    const [infoArtist, infoTitle] = info.includes(' - ') ? [info.slice(0, info.indexOf(' - ')), info.slice(info.indexOf(' - ') + 3)] : ['', info];
+    const [dirArtist, dirAlbum] = folder.includes(' - ') ? [folder.slice(0, folder.indexOf(' - ')), folder.slice(folder.indexOf(' - ') + 3)] : ['', folder];
+    out.push({
+      title: text(infoTitle) || text(fileNum ? fileNum[3] : file),
+      artist: text(infoArtist),
+      album: album || text(dirAlbum),
+      albumArtist: albumArtist || text(dirArtist),
+      year: null, genre: '', disc, side: '', track: fileNum ? Number(fileNum[2]) : null, cover: null,
+    });
+    info = '';
+  }
+  return out;
+}
+
+// Apple plist XML, as written by iTunes/Music "Export Library"
+function parsePlist(src){
+  const re = /<(\/?)(dict|array|key|string|integer|real|date|data|true|false)\s*(\/?)>/g;
+  const unescape = s => s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n))).replace(/&amp;/g, '&');
+  let m;
+  function value(open){
+    const [, , tag, selfClose] = open;
+    if (tag === 'true' || tag === 'false') return tag === 'true';
+    if (selfClose) return tag === 'dict' ? {} : tag === 'array' ? [] : '';
+    if (tag === 'dict' || tag === 'array'){
+      const obj = tag === 'dict' ? {} : [];
+      let key = null;
+      while ((m = re.exec(src))){
+        if (m[1]) return obj; // closing tag
+        if (m[2] === 'key'){ key = leaf('key'); continue; }
+        const v = value(m);
+        if (tag === 'dict') obj[key] = v; else obj.push(v);
+      }
+      throw new Error(`plist: unterminated <${tag}>`);
+    }
+    const v = leaf(tag);
+    return tag === 'integer' || tag === 'real' ? Number(v) : v;
+  }
+  function leaf(tag){
+    const start = re.lastIndex;
+    const end = src.indexOf(`</${tag}>`, start);
+    if (end < 0) throw new Error(`plist: unterminated <${tag}>`);
+    re.lastIndex = end + tag.length + 3;
+    return unescape(src.slice(start, end));
+  }
+  while ((m = re.exec(src))) if (m[2] === 'dict') return value(m);
+  return null;
+}
+function parseItunes(src){
+  const lib = parsePlist(src);
+  if (!lib?.Tracks) throw new Error('Not an iTunes/Music library export (no Tracks)');
+  return Object.values(lib.Tracks).filter(t => t && !t.Podcast && !t.Movie).map(t => ({
+    title: text(t.Name), artist: text(t.Artist), album: text(t.Album), albumArtist: text(t['Album Artist']),
+    year: intOrNull(t.Year), genre: text(t.Genre), disc: intOrNull(t['Disc Number']),
+    side: '', track: intOrNull(t['Track Number']), cover: null,
+  }));
+}
+
+// MusicBrainz release JSON (ws/2 with inc=recordings+artist-credits): a release,
+// an array of releases or a search result { releases: [...] }. Vinyl track numbers
+// like "B2" become side + track.
+function parseMusicBrainz(src){
+  const data = JSON.parse(src);
+  const releases = Array.isArray(data) ? data : data?.releases || [data];
+  const credit = list => (Array.isArray(list) ? list.map(c => `${c.name ?? c.artist?.name ?? ''}${c.joinphrase || ''}`).join('') : '');
+  const out = [];
+  for (const r of releases){
+    if (!Array.isArray(r?.media)) throw new Error('MusicBrainz release without media; fetch it with inc=recordings');
+    const albumArtist = text(credit(r['artist-credit']));
+    for (const medium of r.media){
+      for (const t of medium.tracks || []){
+        const pos = position(t.number);
+        out.push({
+          title: text(t.title ?? t.recording?.title), artist: text(credit(t['artist-credit'] ?? t.recording?.['artist-credit'])),
+          album: text(r.title), albumArtist, year: intOrNull(r.date), genre: '',
+          disc: intOrNull(medium.position), side: pos.side, track: pos.track ?? intOrNull(t.position), cover: intOrNull(r.cover),
+        });
+      }
+    }
+  }
+  return out;
+}
+
+function readInput(file){
+  const src = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv' || ext === '.tsv' || ext === '.txt') return parseCsv(src);
+  if (ext === '.m3u' || ext === '.m3u8') return parseM3u(src);
+  if (ext === '.xml' || ext === '.plist') return parseItunes(src);
+  if (ext === '.json') return parseMusicBrainz(src);
+  throw new Error(`${file}: unknown format (expected .csv, .tsv, .m3u, .m3u8, .xml or .json)`);
+}
+
+// Tracks -> albums in order of first appearance; tracks sorted by disc, side, track
+// where numbers are known, otherwise kept in input order
+function groupAlbums(tracks){
+  const albums = new Map();
+  for (const t of tracks){
+    if (!t.title) continue;
+    const artist = t.albumArtist || t.artist;
+    const key = t.cover != null ? `cover:${t.cover}` : `${norm(artist)}|${norm(t.album)}`;
+    let a = albums.get(key);
+    if (!a){
+      a = { key, cover: t.cover, artist, title: t.album, year: t.year, genre: t.genre, tracks: [] };
+      albums.set(key, a);
+    }
+    a.artist ||= artist;
+    a.title ||= t.album;
+    a.year ??= t.year;
+    a.genre ||= t.genre;
+    a.tracks.push(t);
+  }
+  for (const a of albums.values()){
+    const rank = t => [t.disc ?? 0, t.side || '', t.track ?? 0];
+    if (a.tracks.every(t => t.track != null)){
+      a.tracks.sort((x, y) => {
+        const [d1, s1, n1] = rank(x), [d2, s2, n2] = rank(y);
+        return d1 - d2 || s1.localeCompare(s2) || n1 - n2;
+      });
+    }
+    const sides = new Set(a.tracks.map(t => t.side).filter(Boolean));
+    a.discs = Math.max(1, ...a.tracks.map(t => t.disc || 1), Math.ceil(sides.size / 2));
+  }
+  return [...albums.values()];
+}
+
+// bilder/: N -> { front, back } with paths relative to root
+function scanCovers(root, images, report){
+  const dir = path.resolve(root, images);
+  const pairs = new Map();
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+  for (const f of files){
+    const m = COVER_RE.exec(f);
+    if (!m) continue;
+    const n = Number(m[1]);
+    const pair = pairs.get(n) || {};
+    const side = m[2].toLowerCase();
+    const rel = path.relative(root, path.join(dir, f)).split(path.sep).join('/');
+    if (pair[side]) report('warning', 'image-duplicate', `${rel}: ${pair[side]} is already the ${side} of cover ${n}`, { file: rel });
+    else pair[side] = rel;
+    pairs.set(n, pair);
+  }
+  for (const [n, p] of pairs){
+    if (!p.front || !p.back) report('warning', 'image-unpaired', `Cover ${n} has no ${p.front ? 'back' : 'front'} image and is skipped`, { file: p.front || p.back });
+  }
+  return [...pairs.entries()].filter(([, p]) => p.front && p.back).sort(([a], [b]) => a - b);
+}
+
+function run(opts){
+  const root = path.resolve(opts.root);
+  const issues = [];
+  const report = (level, code, message, extra) => issues.push({ level, code, message, ...extra });
+  const dataFile = path.resolve(root, opts.data);
+  const songsFile = path.resolve(root, opts.songs);
+
+  const tracks = [];
+  for (const f of opts.inputs){
+    const list = readInput(path.resolve(f));
+    if (!list.length) report('warning', 'input-empty', `${f}: no tracks found`, { file: f });
+    tracks.push(...list);
+  }
+  const input = groupAlbums(tracks);
+  const covers = scanCovers(root, opts.images, report);
+
+  // Existing catalog (--merge) or an empty one
+  let layout = {}, albums = [], songs = [];
+  if (opts.merge){
+    ({ layout, albums } = loadDataJs(dataFile));
+    songs = Catalog.readSongs(JSON.parse(fs.readFileSync(songsFile, 'utf8'))).songs;
+  }
+  const existingAlbums = albums.length;
+  // Songs that already point past the last album would silently move to a new one
+  const stray = songs.filter(s => s.albumIndex >= existingAlbums).length;
+  const used = new Set(albums.flatMap(a => [a.front, a.back]));
+  for (const [, p] of covers){
+    if (!used.has(p.front)) albums.push(Catalog.normalizeAlbum({ front: p.front, back: p.back, discs: 1 }));
+  }
+  const coverIndex = new Map();
+  albums.forEach((a, i) => {
+    const m = /(?:^|\/)(\d+)-front\.[a-z]+$/i.exec(a.front);
+    if (m) coverIndex.set(Number(m[1]), i);
+  });
+
+  // Input album -> album index
+  const taken = new Set();
+  const target = new Map();
+  const byCover = input.filter(a => a.cover != null);
+  for (const a of byCover){
+    const i = coverIndex.get(a.cover);
+    if (i == null) report('error', 'cover-missing', `Album "${a.title || a.key}": no image pair for cover ${a.cover}`, { cover: a.cover });
+    else { target.set(a, i); taken.add(i); }
+  }
+  if (opts.merge){
+    for (const a of input){
+      if (target.has(a) || !a.title) continue;
+      const i = albums.findIndex((b, k) => !taken.has(k) && b.title && norm(b.title) === norm(a.title) && norm(b.artist) === norm(a.artist));
+      if (i >= 0){ target.set(a, i); taken.add(i); }
+    }
+  }
+  // Remaining albums take the next covers that have no tracks yet, in order
+  const hasSongs = new Set(songs.map(s => s.albumIndex));
+  let next = 0;
+  for (const a of input){
+    if (target.has(a)) continue;
+    while (next < albums.length && (taken.has(next) || hasSongs.has(next))) next++;
+    if (next >= albums.length){
+      report('error', 'cover-none', `Album "${a.title || a.key}" (${a.tracks.length} tracks): no free cover image left`, { album: a.title });
+      continue;
+    }
+    target.set(a, next);
+    taken.add(next);
+  }
+
+  // Albums: fill metadata (never overwrite it when merging), songs: update or insert
+  let added = 0, updated = 0;
+  for (const [a, i] of [...target].sort((x, y) => x[1] - y[1])){
+    const album = albums[i];
+    for (const k of ['artist', 'title', 'genre']) if (a[k] && (!opts.merge || !album[k])) album[k] = a[k];
+    if (a.year != null && (!opts.merge || album.year == null)) album.year = a.year;
+    album.discs = Math.max(album.discs, a.discs);
+
+    const mine = songs.filter(s => s.albumIndex === i);
+    const matched = new Set();
+    for (const t of a.tracks){
+      const fields = {
+        disc: album.discs > 1 ? t.disc ?? null : null,
+        side: t.side,
+        track: t.track,
+        artist: t.artist && norm(t.artist) !== norm(album.artist) ? t.artist : '',
+      };
+      const s = mine.find(x => !matched.has(x) && x.n === norm(t.title));
+      if (s){
+        matched.add(s);
+        let changed = false;
+        for (const [k, v] of Object.entries(fields)){
+          if (v != null && v !== '' && s[k] !== v){ s[k] = v; changed = true; }
+        }
+        if (changed) updated++;
+        continue;
+      }
+      const song = Catalog.normalizeSong({ title: t.title, albumIndex: i, ...fields });
+      // Keep songs.json in album order: insert after the last song of this or an earlier album
+      let at = 0;
+      for (let k = songs.length - 1; k >= 0; k--) if (songs[k].albumIndex <= i){ at = k + 1; break; }
+      songs.splice(at, 0, song);
+      added++;
+    }
+  }
+  if (stray && albums.length > existingAlbums){
+    report('warning', 'album-index-reused', `${stray} songs in ${opts.songs} already use an albumIndex from ${existingAlbums} on, which now belongs to a new album; check them with check-catalog.js`);
+  }
+  albums.forEach((a, i) => {
+    if (i >= existingAlbums && !songs.some(s => s.albumIndex === i)) report('warning', 'album-empty', `Album ${i} (${a.front}) has no tracks`, { albumIndex: i });
+  });
+
+  const written = [];
+  const errors = issues.filter(x => x.level === 'error').length;
+  if (!opts.dryRun && !errors){
+    if (!opts.merge && !opts.force){
+      const exists = [dataFile, songsFile].filter(f => fs.existsSync(f));
+      if (exists.length) throw new Error(`${exists.map(f => path.relative(root, f)).join(' and ')} exist; use --merge to keep them or --force to replace them`);
+    }
+    fs.writeFileSync(dataFile, Catalog.serializeDataJs({ layout, albums }));
+    fs.writeFileSync(songsFile, Catalog.serializeSongs(songs, { norm }));
+    written.push(path.relative(root, dataFile), path.relative(root, songsFile));
+  }
+
+  return {
+    ok: errors === 0,
+    summary: {
+      mode: opts.merge ? 'merge' : 'generate',
+      inputs: opts.inputs.length,
+      tracks: tracks.length,
+      inputAlbums: input.length,
+      albums: albums.length,
+      newAlbums: albums.length - existingAlbums,
+      songs: songs.length,
+      addedSongs: added,
+      updatedSongs: updated,
+      covers: covers.length,
+      written,
+      errors,
+      warnings: issues.length - errors,
+    },
+    issues,
+  };
+}
+
+if (require.main === module){
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (e) { console.error(e.message); process.exit(2); }
+  if (opts.help){
+    console.log('Usage: node tools/import-catalog.js [--root .] [--data data.js] [--songs songs.json] [--images bilder] [--merge] [--force] [--dry-run] FILE...');
+    process.exit(0);
+  }
+  let result;
+  try { result = run(opts); }
+  catch (e) { console.error(`import-catalog: ${e.message}`); process.exit(2); }
+  console.log(JSON.stringify(result, null, 2));
+  // exitCode instead of exit(): let stdout drain when piped
+  process.exitCode = result.ok ? 0 : 1;
+}
+
+module.exports = { run, parseCsv, parseM3u, parsePlist, parseItunes, parseMusicBrainz, groupAlbums };
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/* Second-screen relay for the local network (see sync.js)
+   - WebSocket server on /sync without dependencies: displays open a room and get a
+     4-digit pairing code, controllers join a room with its code, and every message is
+     passed on to the other members of the room
+   - Also serves the app's files over HTTP, so at a venue without internet one laptop
+     runs this and the phone and the TV open http://<laptop>:8765/. Only the files in
+     asset-manifest.js (tools/build-manifest.js) are served, nothing else under --root
+   - Rooms disappear with their last member; a display that reconnects with its code
+     gets the same room again
+
+   Usage: node tools/sync-relay.js [--port 8765] [--host 0.0.0.0] [--root .] [--no-static]
+   Open http://<this machine>:8765/?sync=display&relay=1 on the display, then
+   http://<this machine>:8765/?sync=controller&relay=1&code=<code> on the phone.
+*/
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 64 * 1024;
+const PING_MS = 30000;
+const ROLES = ['display', 'controller'];
+// Served besides the manifest's files: the worker and its file list
+const WORKER_FILES = ['service-worker.js', 'asset-manifest.js'];
+const MIME = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.json': 'application/json',
+  '.css': 'text/css', '.webp': 'image/webp', '.avif': 'image/avif', '.png': 'image/png',
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.txt': 'text/plain; charset=utf-8',
+};
+
+function parseArgs(argv){
+  const opts = { port: 8765, host: '0.0.0.0', root: '.', static: true };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${a}`);
+      return argv[++i];
+    };
+    if (a === '--port') opts.port = Number(val());
+    else if (a === '--host') opts.host = val();
+    else if (a === '--root') opts.root = val();
+    else if (a === '--no-static') opts.static = false;
+    else if (a === '--help' || a === '-h') opts.help = true;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (!(Number.isInteger(opts.port) && opts.port > 0 && opts.port < 65536)) throw new Error('--port must be 1..65535');
+  return opts;
+}
+
+const acceptKey = key => crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+
+// Server frames are never masked (RFC 6455 5.1)
+function encodeFrame(opcode, payload = Buffer.alloc(0)){
+  const len = payload.length;
+  const head = len < 126 ? Buffer.alloc(2) : len < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  head[0] = 0x80 | opcode;
+  if (len < 126) head[1] = len;
+  else if (len < 65536){ head[1] = 126; head.writeUInt16BE(len, 2); }
+  else { head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2); }
+  return Buffer.concat([head, payload]);
+}
+
+// Incremental frame parser: push(chunk) calls onFrame({ fin, opcode, payload }) per
+// complete frame; throws on frames over MAX_MESSAGE
+function frameReader(onFrame){
+  let buf = Buffer.alloc(0);
+  return function push(chunk){
+    buf = Buffer.concat([buf, chunk]);
+    for (;;){
+      if (buf.length < 2) return;
+      const fin = (buf[0] & 0x80) !== 0, opcode = buf[0] & 0x0f;
+      const masked = (buf[1] & 0x80) !== 0;
+      let len = buf[1] & 0x7f, offset = 2;
+      if (len === 126){
+        if (buf.length < 4) return;
+        len = buf.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127){
+        if (buf.length < 10) return;
+        const big = buf.readBigUInt64BE(2);
+        if (big > BigInt(MAX_MESSAGE)) throw new Error('frame too large');
+        len = Number(big);
+        offset = 10;
+      }
+      if (len > MAX_MESSAGE) throw new Error('frame too large');
+      const total = offset + (masked ? 4 : 0) + len;
+      if (buf.length < total) return;
+      const payload = Buffer.from(buf.subarray(total - len, total));
+      if (masked){
+        const mask = buf.subarray(offset, offset + 4);
+        for (let i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+      }
+      buf = buf.subarray(total);
+      onFrame({ fin, opcode, payload });
+    }
+  };
+}
+
+function createRelay({ log = () => {} } = {}){
+  const rooms = new Map(); // code -> Set of clients
+
+  function freeCode(){
+    if (rooms.size >= 9000) return null;
+    for (;;){
+      const code = String(crypto.randomInt(10000)).padStart(4, '0');
+      if (!rooms.has(code)) return code;
+    }
+  }
+
+  function broadcastPeers(code, except){
+    const members = rooms.get(code);
+    if (!members) return;
+    for (const c of members) if (c !== except) c.send({ type: 'peers', peers: members.size - 1 });
+  }
+
+  function leave(client){
+    const members = client.code && rooms.get(client.code);
+    if (!members) return;
+    members.delete(client);
+    if (!members.size) rooms.delete(client.code);
+    else broadcastPeers(client.code);
+    log(`${client.role} left ${client.code}`);
+    client.code = null;
+  }
+
+  function join(client, msg){
+    const role = ROLES.includes(msg.role) ? msg.role : null;
+    const wanted = /^\d{4}$/.test(String(msg.code ?? '')) ? String(msg.code) : null;
+    if (!role) return client.send({ type: 'error', error: 'bad-role' });
+    let code = wanted;
+    if (role === 'controller'){
+      if (!code) return client.send({ type: 'error', error: 'code-required' });
+      if (!rooms.has(code)) return client.send({ type: 'error', error: 'unknown-code' });
+    } else if (!code) {
+      code = freeCode();
+      if (!code) return client.send({ type: 'error', error: 'full' });
+    }
+    leave(client);
+    if (!rooms.has(code)) rooms.set(code, new Set());
+    rooms.get(code).add(client);
+    client.role = role;
+    client.code = code;
+    client.send({ type: 'joined', code, peers: rooms.get(code).size - 1 });
+    broadcastPeers(code, client);
+    log(`${role} joined ${code}`);
+  }
+
+  function onMessage(client, text){
+    let msg;
+    try { msg = JSON.parse(text); } catch { return; }
+    if (msg?.type === 'join') join(client, msg);
+    else if (msg?.type === 'msg' && client.code){
+      const out = JSON.stringify({ type: 'msg', data: msg.data });
+      for (const c of rooms.get(client.code) || []) if (c !== client) c.sendText(out);
+    }
+  }
+
+  // HTTP upgrade handler for /sync; head holds bytes that came with the request
+  function upgrade(req, socket, head){
+    const key = req.headers['sec-websocket-key'];
+    if (req.url.split('?')[0] !== '/sync' || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket'){
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n'
+      + `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`);
+    socket.setNoDelay(true);
+
+    let fragments = null;
+    let alive = true;
+    let closed = false;
+    const client = {
+      role: null, code: null,
+      sendText: text => { if (!closed && socket.writable) socket.write(encodeFrame(0x1, Buffer.from(text))); },
+      send: msg => client.sendText(JSON.stringify(msg)),
+    };
+    // Leaves the room at once; the socket is ended (after `last` is flushed) or dropped
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(ping);
+      leave(client);
+    };
+    const finish = last => {
+      close();
+      if (socket.writable) socket.end(last, () => socket.destroy());
+      else socket.destroy();
+    };
+    const drop = () => {
+      close();
+      socket.destroy();
+    };
+    const push = frameReader(({ fin, opcode, payload }) => {
+      if (opcode === 0x8){ finish(encodeFrame(0x8)); return; }
+      if (opcode === 0x9){ socket.write(encodeFrame(0xA, payload)); return; }
+      if (opcode === 0xA){ alive = true; return; }
+      // Text, possibly split into continuation frames; binary is not used
+      if (opcode === 0x1) fragments = [payload];
+      else if (opcode === 0x0 && fragments) fragments.push(payload);
+      else return;
+      if (fragments.reduce((n, b) => n + b.length, 0) > MAX_MESSAGE){ drop(); return; }
+      if (fin){
+        const text = Buffer.concat(fragments).toString('utf8');
+        fragments = null;
+        onMessage(client, text);
+      }
+    });
+    // Drops sockets that vanished without a close (phone locked, Wi-Fi gone)
+    const ping = setInterval(() => {
+      if (!alive){ drop(); return; }
+      alive = false;
+      socket.write(encodeFrame(0x9));
+    }, PING_MS);
+    const read = chunk => {
+      if (closed) return;
+      try { push(chunk); } catch { drop(); }
+    };
+    if (head?.length) read(head);
+    socket.on('data', read);
+    // The server keeps sockets half-open: a client gone without a close frame only sends FIN
+    socket.on('end', () => finish());
+    socket.on('close', close);
+    socket.on('error', drop);
+  }
+
+  return { upgrade, rooms };
+}
+
+// The app's files under root, as './path' keys: everything asset-manifest.js lists, read
+// again when it changes. Empty without a manifest.
+function appFiles(root){
+  const file = path.join(root, 'asset-manifest.js');
+  let stamp = null, files = new Set();
+  return () => {
+    const mtime = fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+    if (mtime === stamp) return files;
+    stamp = mtime;
+    files = new Set();
+    if (mtime == null) return files;
+    const sandbox = { self: {} };
+    vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    const m = sandbox.self.ASSET_MANIFEST || {};
+    const keys = [
+      ...Object.keys(m.core || {}),
+      ...(m.profiles || []).flatMap(p => [...Object.keys(p.files), ...Object.keys(p.images), ...Object.keys(p.variants)]),
+      ...WORKER_FILES.map(f => `./${f}`),
+    ];
+    keys.forEach(k => files.add(k));
+    return files;
+  };
+}
+
+// The app's files only (see appFiles); / is index.html
+function serveStatic(root){
+  const allowed = appFiles(root);
+  return (req, res) => {
+    let rel;
+    try { rel = decodeURIComponent(new URL(req.url, 'http://x').pathname); }
+    catch { res.writeHead(400).end(); return; }
+    if (rel === '/') rel = '/index.html';
+    if (!allowed().has(`.${rel}`)){ res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found'); return; }
+    const file = path.join(root, rel);
+    fs.readFile(file, (err, data) => {
+      if (err){ res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found'); return; }
+      res.writeHead(200, { 'Content-Type': MIME[path.extname(file).toLowerCase()] || 'application/octet-stream', 'Cache-Control': 'no-cache' });
+      res.end(req.method === 'HEAD' ? undefined : data);
+    });
+  };
+}
+
+function start(opts){
+  const root = path.resolve(opts.root);
+  const relay = createRelay({ log: msg => console.log(`sync-relay: ${msg}`) });
+  const server = http.createServer(opts.static ? serveStatic(root) : (req, res) => res.writeHead(404).end());
+  server.on('upgrade', relay.upgrade);
+  if (opts.static && !fs.existsSync(path.join(root, 'asset-manifest.js'))){
+    console.warn(`sync-relay: ${path.join(root, 'asset-manifest.js')} not found, no files are served; run node tools/build-manifest.js`);
+  }
+  server.listen(opts.port, opts.host, () => {
+    console.log(`sync-relay: listening on ${opts.host}:${opts.port} (WebSocket /sync${opts.static ? `, files from ${root}` : ''})`);
+  });
+  return server;
+}
+
+if (require.main === module){
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (e) { console.error(e.message); process.exit(2); }
+  if (opts.help){
+    console.log('Usage: node tools/sync-relay.js [--port 8765] [--host 0.0.0.0] [--root .] [--no-static]');
+    process.exit(0);
+  }
+  start(opts).on('error', e => {
+    console.error(`sync-relay: ${e.message}`);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = { createRelay, start, serveStatic, acceptKey, encodeFrame, frameReader };